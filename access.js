@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+
+// API Keys: only the SHA-256 of a key is stored, the key itself is returned once when created.
+// Each key has a daily quota (UTC days) and a per-minute rate enforced by a token bucket whose
+// burst is one minute's worth. Requests without a key are either refused (`required`) or counted
+// per IP against the `anonymous` limits, each of which is off when null. Usage counters persist with
+// the keys; buckets are in memory.
+const KEY_PREFIX = 'tx_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function dayOf(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function msToNextDay(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - now;
+}
+
+class TokenBucket {
+  constructor(perMinute, now) {
+    this.perMinute = perMinute;
+    this.tokens = perMinute;
+    this.updated = now;
+  }
+  // Takes one token; returns 0, or the ms until one is available
+  take(now) {
+    this.tokens = Math.min(this.perMinute, this.tokens + (now - this.updated) * this.perMinute / 60000);
+    this.updated = now;
+    if (this.tokens >= 1) {
+      this.tokens--;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) * 60000 / this.perMinute);
+  }
+}
+
+// Body of POST /api/admin/keys; returns { spec } or { error }
+function validateKeySpec(body, defaults) {
+  const b = body || {};
+  if (typeof b.name !== 'string' || !b.name.trim() || b.name.length > 64) return { error: 'name: chuỗi 1-64 ký tự' };
+  const int = (k, lo, hi) => {
+    if (b[k] === undefined || b[k] === null) return defaults[k];
+    return Number.isInteger(b[k]) && b[k] >= lo && b[k] <= hi ? b[k] : undefined;
+  };
+  const daily_quota = int('daily_quota', 1, 1e9);
+  if (daily_quota === undefined) return { error: 'daily_quota: số nguyên trong [1, 1000000000]' };
+  const per_minute = int('per_minute', 1, 100000);
+  if (per_minute === undefined) return { error: 'per_minute: số nguyên trong [1, 100000]' };
+  return { spec: { name: b.name.trim(), daily_quota, per_minute } };
+}
+
+class KeyStore {
+  constructor({ required = false, defaults = { daily_quota: 10000, per_minute: 60 }, anonymous = { daily_quota: null, per_minute: null } } = {}) {
+    this.required = required;
+    this.defaults = defaults;
+    this.anonymous = anonymous;
+    this.keys = [];
+    this.byHash = new Map();
+    this.buckets = new Map();
+    this.anonUsage = new Map();
+    this.dirty = false;
+  }
+  create(spec, now = Date.now()) {
+    const key = KEY_PREFIX + crypto.randomBytes(20).toString('hex');
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      hash: hashKey(key),
+      name: spec.name,
+      daily_quota: spec.daily_quota,
+      per_minute: spec.per_minute,
+      created_at: new Date(now).toISOString(),
+      revoked_at: null,
+      usage: { total: 0, day: dayOf(now), today: 0, rejected: 0, last_used: null }
+    };
+    this.keys.push(record);
+    this.byHash.set(record.hash, record);
+    this.dirty = true;
+    return { key, record: this.view(record) };
+  }
+  revoke(id, now = Date.now()) {
+    const record = this.keys.find(k => k.id === id);
+    if (!record) return null;
+    if (!record.revoked_at) record.revoked_at = new Date(now).toISOString();
+    this.buckets.delete(record.id);
+    this.dirty = true;
+    return this.view(record);
+  }
+  view(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, usage: { ...record.usage }, active: !record.revoked_at };
+  }
+  list() {
+    return this.keys.map(k => this.view(k));
+  }
+  // Counts one request for `key` (or the IP when there is none). Returns { status, error,
+  // retryAfter, headers } when refused, otherwise { record, headers }
+  check(key, ip, now = Date.now()) {
+    let usage, limits, bucketId, record = null;
+    if (key) {
+      record = this.byHash.get(hashKey(key));
+      if (!record) return { status: 401, error: 'API key không hợp lệ', headers: {} };
+      if (record.revoked_at) return { status: 403, error: 'API key đã bị thu hồi', headers: {} };
+      usage = record.usage;
+      limits = record;
+      bucketId = record.id;
+      this.dirty = true;
+    } else {
+      if (this.required) return { status: 401, error: 'Thiếu API key (header X-API-Key)', headers: {} };
+      bucketId = 'ip:' + ip;
+      usage = this.anonUsage.get(bucketId);
+      if (!usage) this.anonUsage.set(bucketId, usage = { total: 0, day: dayOf(now), today: 0, rejected: 0, last_used: null });
+      limits = this.anonymous || {};
+    }
+    if (usage.day !== dayOf(now)) {
+      usage.day = dayOf(now);
+      usage.today = 0;
+    }
+    const headers = {};
+    if (limits.per_minute) headers['X-RateLimit-Limit'] = limits.per_minute;
+    if (limits.daily_quota) headers['X-Quota-Limit'] = limits.daily_quota;
+    if (limits.daily_quota && usage.today >= limits.daily_quota) {
+      usage.rejected++;
+      return { status: 429, error: 'Đã hết hạn mức trong ngày', retryAfter: Math.ceil(msToNextDay(now) / 1000), headers: { ...headers, 'X-Quota-Remaining': 0 } };
+    }
+    if (limits.per_minute) {
+      let bucket = this.buckets.get(bucketId);
+      if (!bucket || bucket.perMinute !== limits.per_minute) this.buckets.set(bucketId, bucket = new TokenBucket(limits.per_minute, now));
+      const wait = bucket.take(now);
+      headers['X-RateLimit-Remaining'] = Math.floor(bucket.tokens);
+      if (wait) {
+        usage.rejected++;
+        if (limits.daily_quota) headers['X-Quota-Remaining'] = limits.daily_quota - usage.today;
+        return { status: 429, error: 'Gọi quá nhanh, thử lại sau', retryAfter: Math.ceil(wait / 1000), headers };
+      }
+    }
+    usage.total++;
+    usage.today++;
+    usage.last_used = new Date(now).toISOString();
+    if (limits.daily_quota) headers['X-Quota-Remaining'] = limits.daily_quota - usage.today;
+    // Anonymous IPs are kept for the day only
+    if (!key && this.anonUsage.size > 10000) this.pruneAnonymous(now);
+    return { record, headers };
+  }
+  pruneAnonymous(now) {
+    const day = dayOf(now);
+    this.anonUsage.forEach((u, id) => {
+      if (u.day !== day) {
+        this.anonUsage.delete(id);
+        this.buckets.delete(id);
+      }
+    });
+  }
+  getState() {
+    return this.keys;
+  }
+  setState(state) {
+    if (!Array.isArray(state)) return;
+    this.keys = state.filter(k => k && typeof k.hash === 'string' && typeof k.id === 'string');
+    this.byHash = new Map(this.keys.map(k => [k.hash, k]));
+    this.buckets.clear();
+  }
+}
+
+// X-API-Key, then Authorization: Bearer, then ?api_key= (for EventSource, which can't set headers)
+function apiKeyOf(req, query = req.query || {}) {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header);
+  const auth = req.headers.authorization;
+  if (auth && /^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, '');
+  return query.api_key ? String(query.api_key) : null;
+}
+
+// Prediction Response Cache: one serialized body per (source, language), reused while the
+// source's latest prediction object is the same, with an ETag naming the source, Phien and language
+class ResponseCache {
+  constructor() {
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+  get(source, lang, latest, render) {
+    const id = `${source}:${lang}`;
+    const hit = this.entries.get(id);
+    if (hit && hit.latest === latest) {
+      this.hits++;
+      return hit;
+    }
+    this.misses++;
+    const entry = { latest, etag: `W/"${source}-${latest.Phien}-${lang}"`, body: JSON.stringify(render()) };
+    this.entries.set(id, entry);
+    return entry;
+  }
+}
+
+module.exports = { KeyStore, TokenBucket, ResponseCache, validateKeySpec, apiKeyOf, hashKey };
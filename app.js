@@ -0,0 +1,448 @@
+const crypto = require('crypto');
+const express = require('express');
+const proxyaddr = require('proxy-addr');
+const { createStorage } = require('./storage');
+const { nowStr, clamp, last } = require('./utils');
+const { CONFIG } = require('./config');
+const { useModelsDir, listModels } = require('./models');
+const { analyzeRandomness } = require('./randomness');
+const { resolveRules } = require('./du_doan');
+const { loadRules } = require('./predictor');
+const { validateSources, loadSourcesFile } = require('./sources');
+const { streamSse, attachWebSocket } = require('./push');
+const { simulateStaking, parseStakingOptions } = require('./staking');
+const { DEFAULT_LANG, pickLang, localizeExplanation } = require('./messages');
+const { KeyStore, TokenBucket, ResponseCache, validateKeySpec, apiKeyOf, hashKey } = require('./access');
+const { CONTENT_TYPE, createServiceMetrics } = require('./metrics');
+const { runBacktest } = require('./backtest');
+const { normalizeRounds, loadHistoryFile, httpFetcher, Source } = require('./upstream');
+const log = require('./log');
+
+// Sub-routes served per source at /api/taixiu/:source/<name> and, for the default source, at
+// /api/taixiu/<name>; source names may not shadow them
+const SOURCE_ROUTES = ['status', 'ledger', 'quality', 'randomness', 'rules', 'models', 'calibration', 'accuracy', 'bankroll', 'backtest', 'stream', 'ws'];
+
+function configuredSources(config) {
+  const list = config.SOURCES_FILE ? loadSourcesFile(config.SOURCES_FILE) : config.SOURCES;
+  const { errors, sources: valid } = validateSources(list, { reserved: [...SOURCE_ROUTES, 'sources'] });
+  if (errors.length) throw new Error(`Cấu hình nguồn ${config.SOURCES_FILE || 'CONFIG.SOURCES'} không hợp lệ:\n  - ${errors.join('\n  - ')}`);
+  return valid;
+}
+
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// App Factory: the Express app and the sources, keys and metrics behind it. Nothing touches the
+// network or the disk until initStorage() / listen(), so tests can build as many apps as they like.
+// options:
+//   config   values merged over CONFIG
+//   fetcher  (url, { timeout, source }) → upstream JSON body; default httpFetcher (see upstream.js)
+//   storage  object with load/save/saveAll/close; default createStorage(STORAGE_TYPE, STORAGE_DIR)
+//   rules    a RuleStore or NO_RULES; default loaded from RULES_FILE
+function createApp(options = {}) {
+  const config = { ...CONFIG, ...options.config };
+  const fetcher = options.fetcher || httpFetcher;
+  if (config.MODELS_DIR) useModelsDir(config.MODELS_DIR);
+  const app = express();
+  app.set('trust proxy', config.TRUST_PROXY);
+  const metrics = createServiceMetrics(config.FETCH_LATENCY_BUCKETS);
+  const rules = options.rules || loadRules(config.RULES_FILE);
+
+  // Shared storage; each Source keeps its own keys in it (see Source.load/snapshot)
+  let storage = null;
+  let persistQueue = Promise.resolve();
+  const storageState = { loaded: false, error: null };
+
+  const sources = new Map(configuredSources(config).map(cfg => [cfg.name, new Source(cfg, {
+    config, fetcher, rules, metrics, onChange: () => saveState()
+  })]));
+
+  function defaultSource() {
+    return sources.values().next().value;
+  }
+
+  metrics.registry.collect(() => {
+    sources.forEach(src => {
+      const source = src.name;
+      metrics.history.set({ source }, src.history.length);
+      metrics.streamClients.set({ source }, src.feed.clients);
+      if (src.lastFetchAt) metrics.lastFetch.set({ source }, src.lastFetchAt / 1000);
+      if (src.service) {
+        const w = src.service.ensemble.weights;
+        Object.keys(w).forEach(model => metrics.weights.set({ source, model }, w[model]));
+      }
+      const acc = src.ledger.accuracy(config.METRICS_ACCURACY_WINDOW);
+      if (acc.n) metrics.accuracy.set({ source, predictor: 'final' }, acc.accuracy);
+      Object.keys(acc.bySource || {}).forEach(p => metrics.accuracy.set({ source, predictor: p }, acc.bySource[p].accuracy));
+    });
+  });
+
+  // Freshness per source: polling sources must have fetched within HEALTH_STALE_AFTER seconds
+  function sourceHealth(src, now = Date.now()) {
+    const age = src.lastFetchAt ? (now - src.lastFetchAt) / 1000 : null;
+    const stale = src.poller.running && (age === null || age > config.HEALTH_STALE_AFTER);
+    return {
+      source: src.name,
+      polling: src.poller.running,
+      last_fetch_age_sec: age,
+      last_error: src.poller.lastError,
+      consecutive_errors: src.poller.consecutiveErrors,
+      history_len: src.history.length,
+      ok: !stale
+    };
+  }
+
+  // Persistence
+  // Writes are queued so concurrent requests never interleave snapshots
+  function saveState() {
+    if (!storage) return Promise.resolve();
+    const snapshot = { [config.API_KEYS.storage_key]: apiKeys.getState() };
+    apiKeys.dirty = false;
+    sources.forEach(src => Object.assign(snapshot, src.snapshot()));
+    persistQueue = persistQueue.then(() => storage.saveAll(snapshot)).catch(e => {
+      log.error('Lỗi khi lưu trạng thái', { error: e.message || String(e) });
+    });
+    return persistQueue;
+  }
+
+  // Key usage changes on every request, so it is written on its own, at most every save_every seconds
+  let keySaveTimer = null;
+  function saveKeys({ now = false } = {}) {
+    if (!storage || (!now && keySaveTimer)) return;
+    const write = () => {
+      keySaveTimer = null;
+      if (!apiKeys.dirty) return;
+      apiKeys.dirty = false;
+      const state = apiKeys.getState();
+      persistQueue = persistQueue.then(() => storage.save(config.API_KEYS.storage_key, state)).catch(e => {
+        log.error('Lỗi khi lưu API key', { error: e.message || String(e) });
+      });
+    };
+    if (now) {
+      clearTimeout(keySaveTimer);
+      return write();
+    }
+    keySaveTimer = setTimeout(write, config.API_KEYS.save_every * 1000);
+    keySaveTimer.unref();
+  }
+
+  async function initStorage() {
+    storage = options.storage || createStorage({ type: config.STORAGE_TYPE, dir: config.STORAGE_DIR });
+    apiKeys.setState(await storage.load(config.API_KEYS.storage_key, []));
+    for (const src of sources.values()) {
+      await src.load(storage);
+      src.initService();
+    }
+    storageState.loaded = true;
+  }
+
+  // Request Logging: every request gets an id (the caller's X-Request-Id when it looks sane), echoed
+  // back and attached to every log line written while handling it
+  app.use((req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    req.id = id;
+    res.set('X-Request-Id', id);
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      // Route patterns, not raw paths, keep label cardinality bounded
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpSeconds.observe({ method: req.method, route }, seconds);
+      const quiet = route === '/metrics' || route === '/healthz' || route === '/readyz';
+      log[quiet ? 'debug' : 'info']('request', {
+        request_id: id, method: req.method, path: req.originalUrl, route, status: res.statusCode, duration_ms: Math.round(seconds * 1000)
+      });
+    });
+    log.withContext({ request_id: id }, next);
+  });
+
+  // Health Endpoints: /healthz fails when a polling source has gone stale, /readyz until storage is
+  // loaded and every source has history to predict from
+  app.get('/healthz', (req, res) => {
+    const checks = [...sources.values()].map(src => sourceHealth(src));
+    const ok = checks.every(c => c.ok);
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'stale', uptime_sec: Math.round(process.uptime()), sources: checks });
+  });
+
+  app.get('/readyz', (req, res) => {
+    const reasons = [];
+    if (!storageState.loaded) reasons.push(storageState.error ? 'Không tải được trạng thái: ' + storageState.error : 'Chưa tải xong trạng thái');
+    sources.forEach(src => { if (!src.history.length) reasons.push(`Nguồn ${src.name} chưa có lịch sử`); });
+    res.status(reasons.length ? 503 : 200).json({ status: reasons.length ? 'not_ready' : 'ready', reasons });
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.type(CONTENT_TYPE).send(metrics.registry.render());
+  });
+
+  // Access Control: every /api/taixiu route counts against the caller's key (or IP) limits
+  const apiKeys = new KeyStore(config.API_KEYS);
+  const responseCache = new ResponseCache();
+
+  function checkAccess(req, res, next) {
+    const out = apiKeys.check(apiKeyOf(req), req.ip);
+    res.set(out.headers);
+    if (out.error) {
+      if (out.retryAfter) res.set('Retry-After', String(out.retryAfter));
+      return res.status(out.status).json({ error: out.error });
+    }
+    if (out.record) saveKeys();
+    next();
+  }
+  app.use('/api/taixiu', checkAccess);
+
+  function requireAdmin(req, res, next) {
+    if (!config.ADMIN_TOKEN) return res.status(403).json({ error: 'Chưa cấu hình ADMIN_TOKEN' });
+    const auth = req.headers.authorization || '';
+    const token = /^Bearer\s+/i.test(auth) ? auth.replace(/^Bearer\s+/i, '') : String(req.headers['x-admin-token'] || '');
+    const a = crypto.createHash('sha256').update(token).digest();
+    const b = crypto.createHash('sha256').update(config.ADMIN_TOKEN).digest();
+    if (!crypto.timingSafeEqual(a, b)) return res.status(401).json({ error: 'Sai admin token' });
+    next();
+  }
+
+  // Admin Endpoints: list keys with usage, create (the key is only in this response), revoke
+  app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    res.json({
+      required: apiKeys.required,
+      defaults: apiKeys.defaults,
+      anonymous: { limits: apiKeys.anonymous, clients_today: apiKeys.anonUsage.size },
+      cache: { hits: responseCache.hits, misses: responseCache.misses },
+      keys: apiKeys.list()
+    });
+  });
+
+  app.post('/api/admin/keys', requireAdmin, express.json(), (req, res) => {
+    const { spec, error } = validateKeySpec(req.body, apiKeys.defaults);
+    if (error) return res.status(400).json({ error });
+    const { key, record } = apiKeys.create(spec);
+    saveKeys({ now: true });
+    res.status(201).json({ key, ...record });
+  });
+
+  app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+    const record = apiKeys.revoke(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Không có key: ' + req.params.id });
+    saveKeys({ now: true });
+    res.json(record);
+  });
+
+  // Registers a GET route for the default source and for each named one
+  function sourceRoute(sub, handler) {
+    const withSource = (req, res) => {
+      const src = req.params.source ? sources.get(req.params.source) : defaultSource();
+      if (!src) return res.status(404).json({ error: 'Không có nguồn: ' + req.params.source });
+      return handler(req, res, src);
+    };
+    app.get(`/api/taixiu/${sub}`, withSource);
+    app.get(`/api/taixiu/:source/${sub}`, withSource);
+  }
+
+  // Sources Endpoint
+  app.get('/api/taixiu/sources', (req, res) => {
+    res.json({ default: defaultSource().name, sources: [...sources.values()].map(src => src.info()) });
+  });
+
+  // Push Endpoints: SSE here, WebSocket at /api/taixiu[/:source]/ws (see attachPush). Both send a
+  // `hello`, then the current prediction or, with ?since=<Phien>, the events after that round.
+  // New events only arrive while the source's poller runs.
+  sourceRoute('stream', (req, res, src) => {
+    streamSse(req, res, src.feed, { snapshot: () => src.feed.latest('prediction') });
+  });
+
+  function attachPush(server) {
+    return attachWebSocket(server, name => {
+      const src = name ? sources.get(name) : defaultSource();
+      return src ? { feed: src.feed, snapshot: () => src.feed.latest('prediction') } : null;
+    }, {
+      authorize: (req, url) => {
+        // The upgrade request is not an Express request, so req.ip is resolved the same way by hand
+        const ip = proxyaddr(req, app.get('trust proxy fn'));
+        const out = apiKeys.check(apiKeyOf(req, Object.fromEntries(url.searchParams)), ip);
+        if (out.record) saveKeys();
+        return out.error ? out : null;
+      }
+    });
+  }
+
+  // Poller Status Endpoint
+  sourceRoute('status', (req, res, src) => {
+    res.json(src.status());
+  });
+
+  // Prediction Ledger Endpoints
+  sourceRoute('ledger', (req, res, src) => {
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = clamp(parseInt(req.query.limit, 10) || 50, 1, 500);
+    res.json(src.ledger.page(offset, limit));
+  });
+
+  // Data Quality Endpoint: validation counters and the most recent quarantined rows
+  sourceRoute('quality', (req, res, src) => {
+    const limit = clamp(parseInt(req.query.limit, 10) || 50, 1, config.MAX_QUARANTINE_STORE);
+    res.json({ source: src.name, ...src.quality.report(limit) });
+  });
+
+  // Randomness Diagnostics Endpoint: runs over the stored history, optionally the last n rounds
+  sourceRoute('randomness', (req, res, src) => {
+    const n = parseInt(req.query.n, 10);
+    const rounds = n > 0 ? last(src.history, n) : src.history;
+    res.json({ timestamp: nowStr(), ...analyzeRandomness(rounds) });
+  });
+
+  // Rules Endpoint: manual patterns and cầu mẫu with how often each fired and hit
+  sourceRoute('rules', (req, res, src) => {
+    const service = src.getService();
+    const withStats = (id, extra) => {
+      const st = service.ruleStats[id] || { fired: 0, hits: 0 };
+      return { id, ...extra, fired: st.fired, hits: st.hits, accuracy: st.fired ? st.hits / st.fired : null };
+    };
+    res.json({
+      file: rules.file,
+      version: rules.version,
+      loaded_at: rules.loadedAt,
+      last_error: rules.lastError,
+      du_doan: resolveRules(rules.du_doan).map(r => withStats(r.id, { priority: r.priority, enabled: r.enabled })),
+      manual: rules.manual.map(r => withStats(r.id, r)),
+      cau_mau: Object.keys(rules.cau_mau).map(name => withStats(`cau_mau:${name}`, { name, sequences: rules.cau_mau[name] }))
+    });
+  });
+
+  // Model Registry Endpoint
+  sourceRoute('models', (req, res, src) => {
+    const service = src.getService();
+    res.json({
+      registered: listModels(),
+      enabled: service.ensemble.names,
+      weights: service.ensemble.weights,
+      perfEMA: service.ensemble.perfEMA
+    });
+  });
+
+  // Reliability diagram for the calibration stage
+  sourceRoute('calibration', (req, res, src) => {
+    const bins = clamp(parseInt(req.query.bins, 10) || config.CALIBRATION_BINS, 2, 50);
+    res.json(src.getService().calibrator.reliability(bins));
+  });
+
+  sourceRoute('accuracy', (req, res, src) => {
+    const n = clamp(parseInt(req.query.n, 10) || 100, 1, config.MAX_LEDGER_STORE);
+    res.json(src.ledger.accuracy(n));
+  });
+
+  // Bankroll Endpoint: what following the resolved predictions would have done to a balance,
+  // optionally over the last n of them
+  sourceRoute('bankroll', (req, res, src) => {
+    const { opts, error } = parseStakingOptions(req.query, config.STAKING_DEFAULTS);
+    if (error) return res.status(400).json({ error });
+    const n = parseInt(req.query.n, 10);
+    const records = src.ledger.records.filter(r => r.resolved_at);
+    res.json({ source: src.name, ...simulateStaking(n > 0 ? last(records, n) : records, opts) });
+  });
+
+  // Backtest Endpoint: replays the source's stored history, or BACKTEST_FILE (default source) /
+  // backtest_file when set. It blocks the event loop, so it is capped at BACKTEST_MAX_ROUNDS, the
+  // options are bounded (the seed is fixed), reports are cached until the history, the options or
+  // the rules change, and each caller gets BACKTEST_PER_MINUTE uncached runs.
+  const CALIBRATION_METHODS = ['isotonic', 'platt', 'none'];
+  const backtestCache = new Map();
+  const backtestBuckets = new Map();
+  sourceRoute('backtest', async (req, res, src) => {
+    const calibration = req.query.calibration || config.CALIBRATION_METHOD;
+    if (!CALIBRATION_METHODS.includes(calibration)) return res.status(400).json({ error: 'calibration: isotonic, platt hoặc none' });
+    const file = (src === defaultSource() && config.BACKTEST_FILE) || src.backtestFile;
+    try {
+      let rounds;
+      if (file) rounds = await loadHistoryFile(file);
+      else if (storage) rounds = normalizeRounds(await storage.load(src.keys.history, []));
+      else return res.status(503).json({ error: 'Chưa tải xong trạng thái' });
+      const asked = parseInt(req.query.limit, 10);
+      rounds = rounds.slice(-(asked > 0 ? Math.min(asked, config.BACKTEST_MAX_ROUNDS) : config.BACKTEST_MAX_ROUNDS));
+      const opts = { warmup: clamp(parseInt(req.query.warmup, 10) || 0, 0, rounds.length), seed: 1, calibration };
+      const key = JSON.stringify([src.name, file, rounds.length, rounds.length ? rounds[rounds.length - 1].Phien : null, rules.version, opts]);
+      let report = backtestCache.get(key);
+      if (!report) {
+        const caller = apiKeyOf(req);
+        const bucketId = caller ? 'key:' + hashKey(caller) : 'ip:' + req.ip;
+        let bucket = backtestBuckets.get(bucketId);
+        if (!bucket) {
+          if (backtestBuckets.size > 10000) backtestBuckets.clear();
+          backtestBuckets.set(bucketId, bucket = new TokenBucket(config.BACKTEST_PER_MINUTE, Date.now()));
+        }
+        const wait = bucket.take(Date.now());
+        if (wait) return res.status(429).set('Retry-After', String(Math.ceil(wait / 1000))).json({ error: 'Gọi quá nhanh, thử lại sau' });
+        report = runBacktest(rounds, { config, rules, ...opts });
+        backtestCache.set(key, report);
+        if (backtestCache.size > 20) backtestCache.delete(backtestCache.keys().next().value);
+      }
+      res.json(report);
+    } catch (e) {
+      if (e.code === 'ENOENT') return res.status(404).json({ error: 'Không tìm thấy file lịch sử: ' + file });
+      res.status(500).json({ error: 'Lỗi khi backtest: ' + (e.message || e) });
+    }
+  });
+
+  // API Endpoint: latest prediction for one source (/api/taixiu/sunwin is the original feed)
+  app.get('/api/taixiu/:source', async (req, res) => {
+    const src = sources.get(req.params.source);
+    if (!src) return res.status(404).json({ error: 'Không có nguồn: ' + req.params.source });
+    try {
+      const { lang, error } = pickLang(req);
+      if (error) return res.status(400).json({ error });
+      // Serve the cached prediction while the poller runs or within RESPONSE_CACHE_TTL of the last fetch
+      const stale = !src.poller.running && Date.now() - src.refreshedAt >= config.RESPONSE_CACHE_TTL * 1000;
+      if (!src.latest || stale) await src.refresh();
+      const latest = src.latest;
+      const entry = responseCache.get(src.name, lang, latest, () => (lang === DEFAULT_LANG ? latest
+        : { ...latest, Giai_thich_chi_tiet: localizeExplanation(latest.Giai_thich_chi_tiet, lang) }));
+      res.set({ 'Content-Language': lang, ETag: entry.etag, 'Cache-Control': 'no-cache' }).vary('Accept-Language');
+      if (req.fresh) return res.status(304).end();
+      res.type('json').send(entry.body);
+    } catch (e) {
+      if (e.message === 'API trả về rỗng') return res.status(500).json({ error: e.message });
+      res.status(500).json({ error: 'Lỗi khi lấy dữ liệu: ' + (e.message || e) });
+    }
+  });
+
+  // Start: load state, start the pollers and the rules-file watcher, then serve HTTP and WebSocket.
+  // Resolves with the http.Server; a failed state load is logged and leaves /readyz failing.
+  let server = null, wss = null;
+  async function listen(port = 0) {
+    await initStorage().catch(e => {
+      storageState.error = e.message || String(e);
+      log.error('Không tải được trạng thái đã lưu', { error: storageState.error });
+    });
+    sources.forEach(src => src.poller.start());
+    if (rules.watch) rules.watch();
+    server = await new Promise(resolve => { const s = app.listen(port, () => resolve(s)); });
+    wss = attachPush(server);
+    log.info(`Server running on port ${server.address().port}`, {
+      port: server.address().port, storage: config.STORAGE_TYPE, poll_sec: config.AUTO_REFRESH_DEFAULT,
+      history: Object.fromEntries([...sources.values()].map(src => [src.name, src.history.length]))
+    });
+    return server;
+  }
+
+  // Stops pollers and timers, closes the server and writes the state one last time
+  async function close() {
+    sources.forEach(src => src.poller.stop());
+    if (rules.unwatch) rules.unwatch();
+    clearTimeout(keySaveTimer);
+    if (wss) wss.clients.forEach(ws => ws.terminate());
+    if (server) {
+      await new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections(); // SSE streams would otherwise hold it open
+      });
+    }
+    server = wss = null;
+    await saveState();
+    if (storage) await storage.close();
+    storage = null;
+  }
+
+  return { app, config, sources, defaultSource, rules, apiKeys, metrics, storageState, initStorage, saveState, attachPush, listen, close };
+}
+
+module.exports = { createApp, SOURCE_ROUTES };
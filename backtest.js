@@ -0,0 +1,135 @@
+// Walk-forward Backtest: runBacktest() replays a history through a fresh PredictorService.
+// CLI: node backtest.js [history.json] [--warmup N] [--limit N] [--seed N] [--calibration isotonic|platt|none]
+const { clamp, nowStr, labelOf, seededRandom } = require('./utils');
+const { CONFIG } = require('./config');
+const { PredictorService, loadRules } = require('./predictor');
+const { loadHistoryFile } = require('./upstream');
+
+function createScoreTracker() {
+  return { n: 0, hits: 0, logLoss: 0, brier: 0, losingStreak: 0, longestLosingStreak: 0, buckets: {} };
+}
+
+function scorePrediction(tracker, proba, pred, actual, edges = CONFIG.BACKTEST_BUCKETS) {
+  const pActual = clamp(proba[actual], 1e-6, 1 - 1e-6);
+  const yT = actual === 'T' ? 1 : 0;
+  const conf = Math.max(proba.T, proba.X);
+  const hit = pred === actual;
+  tracker.n++;
+  tracker.logLoss += -Math.log(pActual);
+  tracker.brier += Math.pow(proba.T - yT, 2);
+  if (hit) {
+    tracker.hits++;
+    tracker.losingStreak = 0;
+  } else {
+    tracker.losingStreak++;
+    tracker.longestLosingStreak = Math.max(tracker.longestLosingStreak, tracker.losingStreak);
+  }
+  let idx = edges.findIndex((e, i) => i > 0 && conf < e);
+  if (idx === -1) idx = edges.length - 1;
+  const key = `${edges[idx - 1].toFixed(1)}-${edges[idx].toFixed(1)}`;
+  if (!tracker.buckets[key]) tracker.buckets[key] = { n: 0, hits: 0, sumConf: 0 };
+  tracker.buckets[key].n++;
+  tracker.buckets[key].sumConf += conf;
+  if (hit) tracker.buckets[key].hits++;
+}
+
+function summarizeTracker(tracker) {
+  const n = tracker.n;
+  const buckets = Object.keys(tracker.buckets).sort().map(range => {
+    const b = tracker.buckets[range];
+    return { range, n: b.n, accuracy: b.hits / b.n, avgConfidence: b.sumConf / b.n };
+  });
+  return {
+    n,
+    hitRate: n ? tracker.hits / n : null,
+    logLoss: n ? tracker.logLoss / n : null,
+    brier: n ? tracker.brier / n : null,
+    longestLosingStreak: tracker.longestLosingStreak,
+    buckets
+  };
+}
+
+// Replays rounds in order: predict() on what is known, score it, then learn() the actual round.
+// opts.onPredict(round, prediction) sees each scored prediction next to the round it was for;
+// opts.config and opts.rules are passed to the PredictorService (no rules file by default).
+function runBacktest(rounds, opts = {}) {
+  const config = opts.config || CONFIG;
+  const warmup = clamp(opts.warmup || 0, 0, rounds.length);
+  const rand = seededRandom(opts.seed || 1);
+  const service = new PredictorService(rounds.slice(0, warmup), { config, rules: opts.rules, calibration: opts.calibration });
+  const sources = ['final', 'final_raw', 'ensemble', ...service.ensemble.names, 'du_doan_js', 'manual', 'always_tai', 'random'];
+  const trackers = {};
+  sources.forEach(s => trackers[s] = createScoreTracker());
+  const argmax = p => p.T >= p.X ? 'T' : 'X';
+  const score = (src, proba, pred, actual) => scorePrediction(trackers[src], proba, pred || argmax(proba), actual, config.BACKTEST_BUCKETS);
+  let skipped = 0;
+  for (let i = warmup; i < rounds.length; i++) {
+    const round = rounds[i];
+    const actual = labelOf(round);
+    if (!actual) {
+      skipped++;
+      service.learn(round);
+      continue;
+    }
+    const out = service.predict();
+    score('final', out.distribution, null, actual);
+    score('final_raw', out.raw_distribution, null, actual);
+    score('ensemble', out.ensemble.distribution, null, actual);
+    service.ensemble.names.forEach(m => score(m, out.ensemble.modelProbas[m], null, actual));
+    const du = out.du_doan;
+    if (du.pred) {
+      const pDu = du.score / 100;
+      score('du_doan_js', du.pred === 'T' ? { T: pDu, X: 1 - pDu } : { T: 1 - pDu, X: pDu }, du.pred, actual);
+    }
+    if (out.manual) {
+      const w = out.manual.weight;
+      score('manual', out.manual.pred === 'T' ? { T: w, X: 1 - w } : { T: 1 - w, X: w }, out.manual.pred, actual);
+    }
+    score('always_tai', { T: 0.5, X: 0.5 }, 'T', actual);
+    score('random', { T: 0.5, X: 0.5 }, rand() < 0.5 ? 'T' : 'X', actual);
+    if (opts.onPredict) opts.onPredict(round, out);
+    service.learn(round);
+  }
+  const bySource = {};
+  sources.forEach(s => bySource[s] = summarizeTracker(trackers[s]));
+  return {
+    timestamp: nowStr(),
+    rounds: rounds.length,
+    warmup,
+    scored: trackers.final.n,
+    skipped,
+    first_phien: rounds.length ? rounds[0].Phien : null,
+    last_phien: rounds.length ? rounds[rounds.length - 1].Phien : null,
+    sources: bySource
+  };
+}
+
+function parseArgs(argv) {
+  const opts = { file: CONFIG.BACKTEST_FILE || 'data/sun_predict_history_v1.json', warmup: 0, limit: 0, seed: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--warmup') opts.warmup = parseInt(argv[++i], 10) || 0;
+    else if (a === '--limit') opts.limit = parseInt(argv[++i], 10) || 0;
+    else if (a === '--seed') opts.seed = parseInt(argv[++i], 10) || 1;
+    else if (a === '--calibration') opts.calibration = argv[++i];
+    else opts.file = a;
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let rounds = await loadHistoryFile(opts.file);
+  if (opts.limit > 0) rounds = rounds.slice(-opts.limit);
+  const report = runBacktest(rounds, { ...opts, rules: loadRules() });
+  console.log(JSON.stringify(report, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error('Lỗi khi backtest: ' + (e.message || e));
+    process.exit(1);
+  });
+}
+
+module.exports = { createScoreTracker, scorePrediction, summarizeTracker, runBacktest };
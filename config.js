@@ -0,0 +1,110 @@
+const path = require('path');
+
+const optionalInt = v => (v === undefined || v === '' ? null : parseInt(v, 10));
+
+// 'true' / 'false', a hop count, or passed on to Express as an address list
+function trustProxyOf(v) {
+  if (v === undefined || v === '' || v === 'false') return false;
+  if (v === 'true') return true;
+  return /^\d+$/.test(v) ? Number(v) : v;
+}
+
+// Configuration: defaults, mostly overridable from the environment. createApp() and the library
+// classes take a config object; pass { ...CONFIG, ...overrides } to change a few values.
+const CONFIG = {
+  API_URL: "https://sun-predict-5ghi.onrender.com/api/taixiu/sunwin",
+  // Named upstreams, each with its own history, learned state and predictor (see sources.js);
+  // SOURCES_FILE replaces this list. The first enabled source answers the unprefixed routes.
+  SOURCES: [{ name: 'sunwin', url: null, profile: 'legacy', key_prefix: 'sun_predict' }], // url null = API_URL
+  SOURCES_FILE: process.env.SOURCES_FILE || null,
+  // Storage keys are `${key_prefix}_${suffix}`
+  STORAGE_KEYS: {
+    history: 'history_v1',
+    patternMem: 'pattern_mem_v1',
+    errorMem: 'error_mem_v1',
+    ensemble: 'ensemble_v1',
+    service: 'service_v1',
+    ledger: 'ledger_v1',
+    quality: 'quality_v1'
+  },
+  STORAGE_TYPE: process.env.STORAGE_TYPE || 'json',
+  STORAGE_DIR: process.env.STORAGE_DIR || 'data',
+  AUTO_REFRESH_DEFAULT: Number(process.env.AUTO_REFRESH || 5), // seconds between upstream polls, 0 = fetch on request
+  FETCH_TIMEOUT_MS: 8000,
+  FETCH_BACKOFF_BASE_MS: 2000,
+  FETCH_BACKOFF_MAX_MS: 120000,
+  MAX_GAPS_TRACKED: 200,
+  MAX_HISTORY_STORE: 2000,
+  MAX_LEDGER_STORE: 5000,
+  MAX_QUARANTINE_STORE: 500,
+  PUSH_BUFFER: 500, // events kept per source for clients resuming a stream
+  MARKOV_ORDER: 8, // deepest context the markov model's context tree weighs in
+  RUN_WINDOW_SHORT: 6,
+  RUN_WINDOW_LONG: 20,
+  DICE_WINDOW: 500,
+  DICE_PRIOR: 30, // pseudo-counts per face pulling estimates towards fair dice
+  BASE_CONFIDENCE: 0.5,
+  REGIME_WINDOW: 500, // rounds the regime HMM is fitted on and filters over
+  REGIME_REFIT_EVERY: 100,
+  REGIME_MIN_CONFIDENCE: 0.5, // below this posterior the road type is 'mixed'
+  MODELS: (process.env.MODELS || 'markov,run_length,momentum,pattern,dice,regime').split(',').map(m => m.trim()).filter(m => m),
+  MODELS_DIR: process.env.MODELS_DIR || null, // extra model modules, loaded on top of ./models
+  PATTERN_MEM_LENGTHS: [3, 4, 5, 6],
+  // learned_pattern only fires for a remembered suffix with this many samples and a 95% Wilson
+  // lower bound on its hit rate of at least PATTERN_MEM_MIN_LOWER
+  PATTERN_MEM_MIN_COUNT: 20,
+  PATTERN_MEM_MIN_LOWER: 0.55,
+  FUSION_SOURCES: ['ensemble', 'du', 'manual'],
+  FUSION_INITIAL_WEIGHTS: { ensemble: 0.45, du: 0.35, manual: 0.20 },
+  FUSION_ETA: 0.5,
+  FUSION_MIN_SHARE: 0.02,
+  FUSION_HISTORY_MAX: 200,
+  CALIBRATION_METHOD: process.env.CALIBRATION_METHOD || 'isotonic', // 'isotonic' | 'platt' | 'none'
+  CALIBRATION_MIN_SAMPLES: 50,
+  CALIBRATION_WINDOW: 1000,
+  CALIBRATION_BINS: 10,
+  RULES_FILE: process.env.RULES_FILE || path.join(__dirname, 'rules', 'patterns.json'),
+  BACKTEST_FILE: process.env.BACKTEST_FILE || null, // default source's /backtest history; unset = its stored history
+  // /backtest runs on the request thread (a few ms per round), so it replays at most this many rounds
+  BACKTEST_MAX_ROUNDS: Number(process.env.BACKTEST_MAX_ROUNDS || 500),
+  // Uncached /backtest runs per caller (API key or IP) per minute, whatever the anonymous limits
+  BACKTEST_PER_MINUTE: Number(process.env.BACKTEST_PER_MINUTE || 4),
+  BACKTEST_BUCKETS: [0.5, 0.6, 0.7, 0.8, 0.9, 1.0],
+  // Bankroll route defaults; a win pays stake × payout × (1 − commission)
+  STAKING_DEFAULTS: {
+    strategy: 'flat',
+    bankroll: 1000,
+    stake: 10,
+    payout: 1,
+    commission: 0.02,
+    threshold: 60,
+    kelly_fraction: 0.5,
+    max_doublings: 8,
+    paths: 500, // bootstrap replays behind risk_of_ruin
+    seed: 1,
+    curve_points: 500
+  },
+  // API keys (see access.js). With REQUIRE_API_KEY=1 requests without a key are refused, otherwise
+  // they are unlimited unless ANON_DAILY_QUOTA / ANON_PER_MINUTE set per-IP limits (see TRUST_PROXY).
+  // Keys are managed at /api/admin/keys with ADMIN_TOKEN.
+  API_KEYS: {
+    required: process.env.REQUIRE_API_KEY === '1',
+    defaults: { daily_quota: 10000, per_minute: 60 },
+    anonymous: { daily_quota: optionalInt(process.env.ANON_DAILY_QUOTA), per_minute: optionalInt(process.env.ANON_PER_MINUTE) },
+    storage_key: 'api_keys',
+    save_every: 30 // seconds between usage-counter writes
+  },
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || null,
+  // Express 'trust proxy': a hop count, true, or addresses/subnets such as 'loopback'. Behind a reverse
+  // proxy, without it every caller has the proxy's IP and shares one set of anonymous limits.
+  TRUST_PROXY: trustProxyOf(process.env.TRUST_PROXY),
+  // Seconds a fetched prediction is served from memory before the upstream is asked again (when
+  // the poller is not running); repeated polls inside one round never reach the upstream
+  RESPONSE_CACHE_TTL: parseFloat(process.env.RESPONSE_CACHE_TTL || '10'),
+  // /healthz fails for a polling source whose last successful fetch is older than this (seconds)
+  HEALTH_STALE_AFTER: Number(process.env.HEALTH_STALE_AFTER || 60),
+  METRICS_ACCURACY_WINDOW: 100, // resolved predictions behind the rolling accuracy gauges
+  FETCH_LATENCY_BUCKETS: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+};
+
+module.exports = { CONFIG };
@@ -0,0 +1,146 @@
+const { last } = require('./utils');
+const { chiSquareTest, mean, variance } = require('./stats');
+
+// Dice Analysis: faces, totals 3–18 and triples from Xuc_xac_1..3 / Tong
+const FACES = [1, 2, 3, 4, 5, 6];
+const TOTALS = [];
+for (let t = 3; t <= 18; t++) TOTALS.push(t);
+const TAI_MIN = 11;
+
+function diceOf(round) {
+  if (!round) return null;
+  const d = [round.Xuc_xac_1, round.Xuc_xac_2, round.Xuc_xac_3].map(Number);
+  return d.every(x => Number.isInteger(x) && x >= 1 && x <= 6) ? d : null;
+}
+
+function totalOf(round) {
+  const d = diceOf(round);
+  if (d) return d[0] + d[1] + d[2];
+  const t = Number(round && round.Tong);
+  return Number.isInteger(t) && t >= 3 && t <= 18 ? t : null;
+}
+
+function faceCounts(rounds) {
+  const pooled = [0, 0, 0, 0, 0, 0];
+  const byDie = [[0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0]];
+  let n = 0;
+  rounds.forEach(r => {
+    const d = diceOf(r);
+    if (!d) return;
+    n++;
+    d.forEach((f, i) => { pooled[f - 1]++; byDie[i][f - 1]++; });
+  });
+  return { rounds: n, pooled, byDie };
+}
+
+// Face probabilities with a symmetric Dirichlet prior pulling towards fair dice
+function smoothedFaceProbs(pooled, prior) {
+  const tot = pooled.reduce((a, b) => a + b, 0) + 6 * prior;
+  return pooled.map(c => (c + prior) / tot);
+}
+
+// Distribution of the sum of three i.i.d. dice with face probabilities p
+function totalsDistribution(p = [1, 1, 1, 1, 1, 1].map(x => x / 6)) {
+  const out = {};
+  TOTALS.forEach(t => out[t] = 0);
+  FACES.forEach(a => FACES.forEach(b => FACES.forEach(c => {
+    out[a + b + c] += p[a - 1] * p[b - 1] * p[c - 1];
+  })));
+  return out;
+}
+
+const FAIR_TOTALS = totalsDistribution();
+
+function taiProbability(totals) {
+  return TOTALS.filter(t => t >= TAI_MIN).reduce((s, t) => s + totals[t], 0);
+}
+
+function faceTest(pooled) {
+  const n = pooled.reduce((a, b) => a + b, 0);
+  return chiSquareTest(pooled, pooled.map(() => n / 6));
+}
+
+function totalsTest(totals) {
+  const obs = TOTALS.map(t => totals.filter(x => x === t).length);
+  return chiSquareTest(obs, TOTALS.map(t => FAIR_TOTALS[t] * totals.length));
+}
+
+// diem_lich_su checks in du_doan_js: after a repeated total ("Kép điểm") it predicts Tài on an even
+// total, after three in a row ("3 lần lặp điểm") Tài on an odd one. Count how those calls fared.
+function repeatRuleStats(totals) {
+  const pair = { n: 0, hits: 0, nextTai: 0 };
+  const triple = { n: 0, hits: 0, nextTai: 0 };
+  let repeats = 0;
+  for (let i = 1; i < totals.length; i++) {
+    if (totals[i] === totals[i - 1]) repeats++;
+  }
+  for (let i = 2; i < totals.length; i++) {
+    if (totals[i - 1] !== totals[i - 2]) continue;
+    const t = totals[i - 1];
+    const nextTai = totals[i] >= TAI_MIN;
+    const isTriple = i >= 3 && totals[i - 3] === t;
+    const bucket = isTriple ? triple : pair;
+    const predTai = isTriple ? t % 2 === 1 : t % 2 === 0;
+    bucket.n++;
+    if (nextTai) bucket.nextTai++;
+    if (predTai === nextTai) bucket.hits++;
+  }
+  const finish = b => ({ n: b.n, accuracy: b.n ? b.hits / b.n : null, nextTaiRate: b.n ? b.nextTai / b.n : null });
+  return {
+    repeatRate: totals.length > 1 ? repeats / (totals.length - 1) : null,
+    expectedRepeatRate: TOTALS.reduce((s, t) => s + FAIR_TOTALS[t] * FAIR_TOTALS[t], 0),
+    pairRule: finish(pair),
+    tripleRule: finish(triple)
+  };
+}
+
+function analyzeDice(rounds, { window = 500, prior = 30 } = {}) {
+  const recent = last(rounds, window);
+  const fc = faceCounts(recent);
+  const faceProbs = smoothedFaceProbs(fc.pooled, prior);
+  const totalsDist = totalsDistribution(faceProbs);
+  const totals = recent.map(totalOf).filter(t => t !== null);
+  const triples = recent.map(diceOf).filter(d => d && d[0] === d[1] && d[1] === d[2]).length;
+  let sinceTriple = null;
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const d = diceOf(recent[i]);
+    if (d && d[0] === d[1] && d[1] === d[2]) { sinceTriple = recent.length - 1 - i; break; }
+  }
+  const sd = variance(totals);
+  return {
+    window: recent.length,
+    totals: totalsDist,
+    pTai: taiProbability(totalsDist),
+    faces: {
+      rounds: fc.rounds,
+      counts: fc.pooled,
+      freq: fc.pooled.map(c => fc.rounds ? c / (3 * fc.rounds) : null),
+      byDie: fc.byDie,
+      smoothed: faceProbs,
+      fit: faceTest(fc.pooled)
+    },
+    totalsFit: totalsTest(totals),
+    triple: {
+      pNext: faceProbs.reduce((s, p) => s + p * p * p, 0),
+      pFair: 1 / 36,
+      observed: fc.rounds ? triples / fc.rounds : null,
+      count: triples,
+      roundsSinceLast: sinceTriple
+    },
+    sums: {
+      n: totals.length,
+      mean: mean(totals),
+      sd: sd === null ? null : Math.sqrt(sd),
+      fairMean: 10.5,
+      fairSd: Math.sqrt(8.75),
+      last: last(totals, 6),
+      ...repeatRuleStats(totals)
+    }
+  };
+}
+
+module.exports = {
+  FACES, TOTALS, TAI_MIN, FAIR_TOTALS,
+  diceOf, totalOf, faceCounts, smoothedFaceProbs, totalsDistribution, taiProbability,
+  faceTest, totalsTest, repeatRuleStats, analyzeDice
+};
@@ -0,0 +1,357 @@
+// du_doan Rule Engine
+//
+// Each branch of the old du_doan_js is a named rule with a priority (lower runs first) and an
+// enable flag. Every rule is evaluated so the trace shows what else would have fired; the
+// highest-priority match wins. Rules are pure: state changes (data_store flags) are returned as
+// `store` and applied only for the winner. A rule that throws is reported as an error, and the
+// engine then gives no prediction rather than a made-up one.
+//
+// Rules return a message key (`msg`, under 'du.' in messages.js) and its params instead of text;
+// `reason` is the Vietnamese rendering, so callers can localize from key + params.
+const { format } = require('./messages');
+const { wilsonLower } = require('./stats');
+const { CONFIG } = require('./config');
+
+const opposite = v => v === 'T' ? 'X' : 'T';
+
+function buildContext(data_kq, dem_sai, pattern_sai, xx, diem_lich_su, data_store, memory, cau_mau, learned = {}) {
+  let xx_list = [];
+  if (typeof xx === 'string') xx_list = xx.split('-').map(s => s.trim());
+  else if (Array.isArray(xx)) xx_list = xx.map(x => String(x));
+  const tong = xx_list.reduce((s, x) => s + parseInt(x || 0), 0);
+  data_kq = data_kq.map(x => x === 'Tài' || x === 'T' ? 'T' : (x === 'X' || x === 'Xỉu' ? 'X' : (x === 'Xiu' ? 'X' : x)));
+  data_kq = data_kq.slice(-100);
+  const cuoi = data_kq.length ? (data_kq[data_kq.length - 1]) : null;
+  const pattern = data_kq.map(x => x === 'T' ? 'T' : 'X').join('');
+  let ben = 0;
+  if (data_kq.length) {
+    ben = 1;
+    for (let i = data_kq.length - 2; i >= 0; i--) {
+      if (data_kq[i] === cuoi) ben++; else break;
+    }
+  }
+  const countsObj = { T: data_kq.filter(x => 'T' === x).length, X: data_kq.filter(x => 'X' === x).length };
+  return {
+    data_kq,
+    dem_sai,
+    pattern_sai: pattern_sai || {},
+    xx_list,
+    tong,
+    cuoi,
+    pattern,
+    ben,
+    countsObj,
+    chenh: Math.abs(countsObj.T - countsObj.X),
+    // du_doan_js used to push the current total onto diem_lich_su and keep the last 6
+    diem: (diem_lich_su || []).concat([tong]).slice(-6),
+    data_store: data_store || {},
+    patternMemory: (memory && memory.pattern) || {},
+    errorMemory: (memory && memory.error) || {},
+    cau_mau: cau_mau || {},
+    // A remembered suffix outranks the handwritten rules only once it is well sampled and one-sided
+    learnedMinCount: learned.min_count === undefined ? CONFIG.PATTERN_MEM_MIN_COUNT : learned.min_count,
+    learnedMinLower: learned.min_lower === undefined ? CONFIG.PATTERN_MEM_MIN_LOWER : learned.min_lower
+  };
+}
+
+const DU_DOAN_RULES = [
+  {
+    id: 'learned_pattern',
+    priority: 10,
+    evaluate(c) {
+      let matched_pattern = null, matched_confidence = 0, matched_lower = 0, matched_pred = null;
+      for (let pat in c.patternMemory) {
+        if (c.pattern.endsWith(pat)) {
+          const stats = c.patternMemory[pat];
+          const count = stats.count || 0;
+          const correct = stats.correct || 0;
+          const lower = wilsonLower(correct, count);
+          if (count >= c.learnedMinCount && lower >= c.learnedMinLower && lower > matched_lower) {
+            matched_lower = lower;
+            matched_confidence = correct / count;
+            matched_pattern = pat;
+            matched_pred = stats.next_pred;
+          }
+        }
+      }
+      if (!matched_pattern || !matched_pred) return null;
+      const score = 90 + Math.floor(matched_confidence * 10);
+      return { pred: matched_pred === 'T' ? 'T' : 'X', score, msg: 'learned_pattern', params: { pattern: matched_pattern, confidence: matched_confidence } };
+    }
+  },
+  {
+    id: 'error_memory',
+    priority: 20,
+    evaluate(c) {
+      if (c.data_kq.length < 3) return null;
+      const last3 = c.data_kq.slice(-3).join(',');
+      if (!(c.errorMemory[last3] && c.errorMemory[last3] >= 2)) return null;
+      return { pred: opposite(c.cuoi), score: 89, msg: 'error_memory', params: { pattern: last3 } };
+    }
+  },
+  {
+    id: 'miss_streak_flip',
+    priority: 30,
+    evaluate(c) {
+      if (c.dem_sai < 4) return null;
+      return { pred: opposite(c.cuoi), score: 87, msg: 'miss_streak_flip', params: { misses: c.dem_sai } };
+    }
+  },
+  {
+    // Needs an even T/X split over an odd window of 5, so it cannot fire; kept to preserve the order
+    id: 'signal_change',
+    priority: 40,
+    evaluate(c) {
+      if (c.data_kq.length < 5) return null;
+      const tail5 = c.data_kq.slice(-5);
+      const countT = tail5.filter(x => 'T' === x).length;
+      const countX = tail5.filter(x => 'X' === x).length;
+      if (countT !== countX || c.data_kq[c.data_kq.length - 1] === c.data_kq[c.data_kq.length - 2]) return null;
+      return { pred: opposite(c.cuoi), score: 88, msg: 'signal_change' };
+    }
+  },
+  {
+    id: 'first_hand',
+    priority: 50,
+    evaluate(c) {
+      if (c.data_kq.length >= 1) return null;
+      if (c.tong >= 16) return { pred: 'T', score: 98, msg: 'first_hand_high', params: { total: c.tong } };
+      if (c.tong <= 6) return { pred: 'X', score: 98, msg: 'first_hand_low', params: { total: c.tong } };
+      return { pred: c.tong >= 11 ? 'T' : 'X', score: 75, msg: 'first_hand_total', params: { total: c.tong } };
+    }
+  },
+  {
+    id: 'second_hand',
+    priority: 60,
+    evaluate(c) {
+      if (c.data_kq.length !== 1) return null;
+      if (c.tong >= 16) return { pred: 'T', score: 98, msg: 'second_hand_high', params: { total: c.tong } };
+      if (c.tong <= 6) return { pred: 'X', score: 98, msg: 'second_hand_low', params: { total: c.tong } };
+      return { pred: opposite(c.cuoi), score: 80, msg: 'second_hand_reverse', params: { last: c.cuoi } };
+    }
+  },
+  {
+    id: 'bet_bet',
+    priority: 70,
+    evaluate(c) {
+      if (c.pattern.length < 9) return null;
+      for (let i = 4; i <= 6; i++) {
+        if (c.pattern.length >= i * 2) {
+          const sub1 = c.pattern.slice(-i * 2, -i);
+          const sub2 = c.pattern.slice(-i);
+          if (sub1 === 'T'.repeat(i) && sub2 === 'X'.repeat(i)) return { pred: 'X', score: 90, msg: 'bet_bet', params: { pattern: sub1 + sub2 } };
+          if (sub1 === 'X'.repeat(i) && sub2 === 'T'.repeat(i)) return { pred: 'T', score: 90, msg: 'bet_bet', params: { pattern: sub1 + sub2 } };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'point_repeat_3',
+    priority: 80,
+    evaluate(c) {
+      if (!(c.diem.length >= 3 && (new Set(c.diem.slice(-3))).size === 1)) return null;
+      return { pred: (c.tong % 2 === 1) ? 'T' : 'X', score: 96, msg: 'point_repeat_3', params: { total: c.tong } };
+    }
+  },
+  {
+    id: 'point_repeat_2',
+    priority: 90,
+    evaluate(c) {
+      if (!(c.diem.length >= 2 && c.diem[c.diem.length - 1] === c.diem[c.diem.length - 2])) return null;
+      return { pred: (c.tong % 2 === 0) ? 'T' : 'X', score: 94, msg: 'point_repeat_2', params: { total: c.tong } };
+    }
+  },
+  {
+    id: 'triple_dice',
+    priority: 100,
+    evaluate(c) {
+      const xx = c.xx_list;
+      if (!(xx.length === 3 && xx[0] === xx[1] && xx[1] === xx[2])) return null;
+      const so = xx[0];
+      if (['1', '2', '4'].includes(so)) return { pred: 'X', score: 97, msg: 'triple_dice_xiu', params: { face: so } };
+      if (['3', '5'].includes(so)) return { pred: 'T', score: 97, msg: 'triple_dice_tai', params: { face: so } };
+      if (so === '6' && c.ben >= 3) return { pred: 'T', score: 97, msg: 'triple_six_streak' };
+      return null;
+    }
+  },
+  {
+    // Bệt: follow the streak, trying one break at ≥5 until the 3 (Tài) / 5 (Xỉu) die shows up
+    id: 'streak',
+    priority: 110,
+    evaluate(c) {
+      if (c.ben < 3) return null;
+      const xx = c.xx_list;
+      if (c.cuoi === 'T') {
+        if (c.ben >= 5 && !xx.includes('3')) {
+          if (!c.data_store.da_be_tai) return { pred: 'X', score: 80, msg: 'streak_try_break_tai', store: { da_be_tai: true } };
+          return { pred: 'T', score: 90, msg: 'streak_hold_tai' };
+        } else if (xx.includes('3')) {
+          return { pred: 'X', score: 95, msg: 'streak_break_tai', store: { da_be_tai: false } };
+        }
+      } else {
+        if (c.ben >= 5 && !xx.includes('5')) {
+          if (!c.data_store.da_be_xiu) return { pred: 'T', score: 80, msg: 'streak_try_break_xiu', store: { da_be_xiu: true } };
+          return { pred: 'X', score: 90, msg: 'streak_hold_xiu' };
+        } else if (xx.includes('5')) {
+          return { pred: 'T', score: 95, msg: 'streak_break_xiu', store: { da_be_xiu: false } };
+        }
+      }
+      return { pred: c.cuoi, score: 93, msg: 'streak_follow', params: { side: c.cuoi, run: c.ben } };
+    }
+  },
+  {
+    id: 'cau_mau_1_1',
+    priority: 120,
+    evaluate(c) {
+      for (let mau of c.cau_mau['1-1'] || []) {
+        if (c.pattern.endsWith(mau) && mau.length === 4) {
+          const current_len = c.data_kq.length;
+          if (current_len === 5) return { pred: opposite(c.cuoi), score: 85, msg: 'cau_1_1_break_5', params: { pattern: mau }, rule: 'cau_mau:1-1' };
+          if (current_len === 6) return { pred: opposite(c.cuoi), score: 90, msg: 'cau_1_1_break_6', params: { pattern: mau }, rule: 'cau_mau:1-1' };
+          return { pred: c.cuoi, score: 72, msg: 'follow_last', rule: 'cau_mau:1-1' };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'cau_mau',
+    priority: 130,
+    evaluate(c) {
+      for (let loai in c.cau_mau) {
+        if (c.cau_mau[loai].some(a => c.pattern.endsWith(a))) {
+          return { pred: opposite(c.cuoi), score: 90, msg: 'cau_mau', params: { name: loai }, rule: `cau_mau:${loai}` };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'one_one_break',
+    priority: 140,
+    evaluate(c) {
+      if (c.data_kq.length < 6) return null;
+      const last6 = c.data_kq.slice(-6);
+      for (let i = 2; i < 6; i++) {
+        if (i * 2 <= last6.length) {
+          const seq = last6.slice(-i * 2).join('');
+          let alt1 = '', alt2 = '';
+          for (let j = 0; j < i * 2; j++) { alt1 += j % 2 === 0 ? 'T' : 'X'; alt2 += j % 2 === 0 ? 'X' : 'T'; }
+          if (seq === alt1 || seq === alt2) return { pred: (c.cuoi === 'X') ? 'T' : 'X', score: 90, msg: 'one_one_break', params: { hands: i * 2 } };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'miss_flip',
+    priority: 150,
+    evaluate(c) {
+      if (c.dem_sai < 3) return null;
+      return { pred: opposite(c.cuoi), score: 88, msg: 'miss_flip' };
+    }
+  },
+  {
+    id: 'old_error_pattern',
+    priority: 160,
+    evaluate(c) {
+      if (!(c.data_kq.length >= 3 && Object.prototype.hasOwnProperty.call(c.pattern_sai, c.data_kq.slice(-3).join(',')))) return null;
+      return { pred: opposite(c.cuoi), score: 86, msg: 'old_error_pattern' };
+    }
+  },
+  {
+    id: 'imbalance',
+    priority: 170,
+    evaluate(c) {
+      if (c.chenh < 3) return null;
+      const uu = c.countsObj.T > c.countsObj.X ? 'T' : 'X';
+      return { pred: uu, score: 84, msg: 'imbalance', params: { diff: c.chenh, side: uu } };
+    }
+  },
+  {
+    id: 'follow_last',
+    priority: 1000,
+    evaluate(c) {
+      if (!c.cuoi) return null;
+      return { pred: c.cuoi, score: 72, msg: 'follow_last' };
+    }
+  }
+];
+
+const RULE_IDS = DU_DOAN_RULES.map(r => r.id);
+
+// overrides: { rule_id: { enabled, priority } } from the rules file
+function resolveRules(overrides = {}) {
+  return DU_DOAN_RULES
+    .map(r => {
+      const o = overrides[r.id] || {};
+      return { ...r, enabled: o.enabled !== false, priority: typeof o.priority === 'number' ? o.priority : r.priority };
+    })
+    .sort((a, b) => a.priority - b.priority);
+}
+
+// Same arguments as before plus memory ({ pattern, error }) and options ({ cau_mau, overrides,
+// learned: { min_count, min_lower } }, the learned_pattern thresholds, defaulting to CONFIG).
+// Returns { pred, score, reason, key, params, rule, winner, trace, error }; pred is null when no
+// rule matched or a rule failed.
+function failed(detail, trace) {
+  const params = { error: detail };
+  const error = format('vi', 'du.error', params);
+  return { pred: null, score: null, reason: error, key: 'du.error', params, rule: null, winner: null, trace, error };
+}
+
+function du_doan_js(data_kq, dem_sai, pattern_sai, xx, diem_lich_su, data_store, memory, options = {}) {
+  const trace = [];
+  let ctx;
+  try {
+    ctx = buildContext(data_kq, dem_sai, pattern_sai, xx, diem_lich_su, data_store, memory, options.cau_mau, options.learned);
+  } catch (e) {
+    return failed(String(e.message || e), trace);
+  }
+  let winner = null;
+  const errors = [];
+  resolveRules(options.overrides).forEach(rule => {
+    const entry = { id: rule.id, priority: rule.priority, enabled: rule.enabled, matched: false, won: false };
+    trace.push(entry);
+    if (!rule.enabled) return;
+    try {
+      const out = rule.evaluate(ctx);
+      if (out) {
+        entry.matched = true;
+        entry.pred = out.pred;
+        entry.score = out.score;
+        entry.reason = format('vi', 'du.' + out.msg, out.params);
+        if (!winner) {
+          winner = { ...out, id: rule.id, key: 'du.' + out.msg, reason: entry.reason };
+          entry.won = true;
+        }
+      }
+    } catch (e) {
+      entry.error = e.message || String(e);
+      // A failing rule below the winner is only traced; above it the prediction can't be trusted
+      if (!winner) errors.push(`${rule.id}: ${entry.error}`);
+    }
+  });
+  if (errors.length) {
+    trace.forEach(t => { t.won = false; });
+    return failed(errors.join('; '), trace);
+  }
+  if (!winner) {
+    return { pred: null, score: null, reason: format('vi', 'du.no_match'), key: 'du.no_match', params: {}, rule: null, winner: null, trace, error: null };
+  }
+  if (winner.store) Object.assign(ctx.data_store, winner.store);
+  return {
+    pred: winner.pred,
+    score: winner.score,
+    reason: winner.reason,
+    key: winner.key,
+    params: winner.params || {},
+    rule: winner.rule || winner.id,
+    winner: winner.id,
+    trace,
+    error: null
+  };
+}
+
+module.exports = { DU_DOAN_RULES, RULE_IDS, resolveRules, buildContext, du_doan_js };
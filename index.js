@@ -0,0 +1,85 @@
+// Library entry: the predictor, its models and analyses, and the app factory, importable without
+// starting anything.
+//   const { PredictorService, normalizeRounds } = require('taixiu-predict-api');
+//   const service = new PredictorService(normalizeRounds(json));
+//   service.predict();
+// createApp({ fetcher }) builds the HTTP service around an injectable upstream (see app.js).
+const { CONFIG } = require('./config');
+const { Ensemble, FusionWeights, Calibrator, PredictorService, matchManualPattern, loadRules, NO_RULES } = require('./predictor');
+const { PredictionLedger } = require('./ledger');
+const { createScoreTracker, scorePrediction, summarizeTracker, runBacktest } = require('./backtest');
+const { normalizeRounds, loadHistoryFile, httpFetcher, UpstreamPoller, Source } = require('./upstream');
+const { createApp } = require('./app');
+const { registerModel, loadModelsDir, useModelsDir, createModel, listModels } = require('./models');
+const { MarkovModel } = require('./models/markov');
+const { RunLengthModel } = require('./models/run_length');
+const { MomentumModel } = require('./models/momentum');
+const { PatternModel } = require('./models/pattern');
+const { DiceModel } = require('./models/dice');
+const { RegimeModel } = require('./models/regime');
+const { du_doan_js, resolveRules, DU_DOAN_RULES, RULE_IDS } = require('./du_doan');
+const { RegimeDetector, REGIMES } = require('./regime');
+const { analyzeDice } = require('./dice');
+const { analyzeRandomness } = require('./randomness');
+const { simulateStaking } = require('./staking');
+const { DiceSimulator } = require('./simulator');
+const { mapRounds, PROFILES } = require('./sources');
+const { validateRound, DataQuality } = require('./validation');
+const { RuleStore } = require('./rules');
+const { labelOf, seqFromHistory, computeRunLength, seededRandom } = require('./utils');
+
+module.exports = {
+  CONFIG,
+  createApp,
+  // Prediction
+  PredictorService,
+  Ensemble,
+  FusionWeights,
+  Calibrator,
+  PredictionLedger,
+  matchManualPattern,
+  du_doan_js,
+  resolveRules,
+  DU_DOAN_RULES,
+  RULE_IDS,
+  RuleStore,
+  loadRules,
+  NO_RULES,
+  // Models
+  registerModel,
+  loadModelsDir,
+  useModelsDir,
+  createModel,
+  listModels,
+  MarkovModel,
+  RunLengthModel,
+  MomentumModel,
+  PatternModel,
+  DiceModel,
+  RegimeModel,
+  // Analyses
+  RegimeDetector,
+  REGIMES,
+  analyzeDice,
+  analyzeRandomness,
+  computeRunLength,
+  simulateStaking,
+  runBacktest,
+  createScoreTracker,
+  scorePrediction,
+  summarizeTracker,
+  // Rounds and upstreams
+  normalizeRounds,
+  mapRounds,
+  PROFILES,
+  validateRound,
+  DataQuality,
+  loadHistoryFile,
+  httpFetcher,
+  UpstreamPoller,
+  Source,
+  DiceSimulator,
+  labelOf,
+  seqFromHistory,
+  seededRandom
+};
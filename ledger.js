@@ -0,0 +1,124 @@
+const { nowStr, last, labelOf } = require('./utils');
+const { CONFIG } = require('./config');
+
+// Ledger records from before the rule engine have no rule id; derive one from the reason, which
+// embeds counts, sequences and sides (cầu shapes such as 1-2-1 are kept, they identify the rule)
+function ruleKeyOf(reason) {
+  return String(reason || '')
+    .replace(/'[^']*'/g, "'…'")
+    .replace(/\([^)]*\)/g, '(…)')
+    .replace(/(?<!\p{L})[TX]{2,}(?!\p{L})/gu, '…')
+    .replace(/(?<!\p{L})[TX](?!\p{L})/gu, '?')
+    .replace(/(?<![\d-])\d+(\.\d+)?(?![\d-])/g, '#')
+    .trim();
+}
+
+// Prediction Ledger: one record per target Phien, resolved when that round arrives
+class PredictionLedger {
+  constructor(records = [], max = CONFIG.MAX_LEDGER_STORE) {
+    this.max = max;
+    this.records = Array.isArray(records) ? records : [];
+    this.index = new Map(this.records.map(r => [r.Phien_sau, r]));
+  }
+  record(response, prediction) {
+    const target = response.Phien_sau;
+    const existing = this.index.get(target);
+    if (existing && existing.resolved_at) return existing;
+    const entry = {
+      Phien_sau: target,
+      issued_at: prediction.timestamp,
+      Du_doan: prediction.prediction,
+      pred: prediction.prediction === 'Tài' ? 'T' : 'X',
+      Do_tin_cay: prediction.confidence,
+      distribution: prediction.distribution,
+      raw_distribution: prediction.raw_distribution,
+      modelProbas: prediction.ensemble.modelProbas,
+      du_doan: {
+        pred: prediction.du_doan.pred,
+        score: prediction.du_doan.score,
+        reason: prediction.du_doan.reason,
+        rule: prediction.du_doan.rule || ruleKeyOf(prediction.du_doan.reason)
+      },
+      manual: prediction.manual,
+      roadType: prediction.roadType,
+      roadConfidence: prediction.roadConfidence,
+      actual: null,
+      Ket_qua: null,
+      hit: null,
+      resolved_at: null
+    };
+    if (existing) Object.assign(existing, entry);
+    else {
+      this.records.push(entry);
+      this.index.set(target, entry);
+      if (this.records.length > this.max) {
+        this.records.splice(0, this.records.length - this.max).forEach(r => this.index.delete(r.Phien_sau));
+      }
+    }
+    return existing || entry;
+  }
+  resolve(round) {
+    const entry = this.index.get(Number(round.Phien));
+    const actual = labelOf(round);
+    if (!entry || entry.resolved_at || !actual) return null;
+    entry.actual = actual;
+    entry.Ket_qua = round.Ket_qua;
+    entry.hit = entry.pred === actual;
+    entry.resolved_at = nowStr();
+    return entry;
+  }
+  // Newest first
+  page(offset = 0, limit = 50) {
+    const total = this.records.length;
+    const end = Math.max(total - offset, 0);
+    const items = this.records.slice(Math.max(end - limit, 0), end).reverse();
+    return { total, offset, limit, items };
+  }
+  accuracy(n = 100) {
+    const resolved = last(this.records.filter(r => r.resolved_at), n);
+    const bump = (group, key, hit, extra) => {
+      const g = group[key] || (group[key] = { n: 0, hits: 0 });
+      g.n++;
+      if (hit) g.hits++;
+      if (extra) extra(g);
+    };
+    const overall = { all: { n: 0, hits: 0 } };
+    const byRoad = {}, byRule = {}, bySource = {};
+    resolved.forEach(r => {
+      bump(overall, 'all', r.hit);
+      bump(byRoad, r.roadType || 'unknown', r.hit);
+      if (r.du_doan.pred) {
+        bump(byRule, r.du_doan.rule, r.du_doan.pred === r.actual, g => {
+          g.sumScore = (g.sumScore || 0) + r.du_doan.score;
+          g.final_hits = (g.final_hits || 0) + (r.hit ? 1 : 0);
+        });
+      }
+      Object.keys(r.modelProbas || {}).forEach(m => {
+        const p = r.modelProbas[m];
+        bump(bySource, m, (p.T >= p.X ? 'T' : 'X') === r.actual);
+      });
+      if (r.du_doan.pred) bump(bySource, 'du_doan_js', r.du_doan.pred === r.actual);
+      if (r.manual) bump(bySource, 'manual', r.manual.pred === r.actual);
+    });
+    const finish = g => ({ n: g.n, hits: g.hits, accuracy: g.n ? g.hits / g.n : null });
+    const mapGroup = (group, extra) => {
+      const out = {};
+      Object.keys(group).forEach(k => out[k] = { ...finish(group[k]), ...(extra ? extra(group[k]) : {}) });
+      return out;
+    };
+    return {
+      window: n,
+      ...finish(overall.all),
+      from_phien: resolved.length ? resolved[0].Phien_sau : null,
+      to_phien: resolved.length ? resolved[resolved.length - 1].Phien_sau : null,
+      byRoadType: mapGroup(byRoad),
+      byRule: mapGroup(byRule, g => ({ avgScore: g.sumScore / g.n, finalAccuracy: g.final_hits / g.n })),
+      bySource: mapGroup(bySource)
+    };
+  }
+  toJSON() {
+    return this.records;
+  }
+}
+
+module.exports = { PredictionLedger, ruleKeyOf };
@@ -0,0 +1,33 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured Logging: one JSON object per line, { ts, level, msg, ...fields }. Code running inside
+// withContext() (an HTTP request, see app.js) gets that context's fields, such as request_id,
+// on every line without passing them around. LOG_LEVEL filters (debug, info, warn, error).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+let threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+function setLevel(level) {
+  if (LEVELS[level]) threshold = LEVELS[level];
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const line = { ts: new Date().toISOString(), level, msg, ...context.getStore(), ...fields };
+  if (line.error instanceof Error) line.error = line.error.message;
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(line) + '\n');
+}
+
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+  LEVELS,
+  setLevel,
+  withContext,
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
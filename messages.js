@@ -0,0 +1,142 @@
+// Message Catalogs: explanation factors carry a message key and params, and the text is rendered
+// per request. Placeholders are {name} or {name|fmt} where fmt is
+//   a digit   toFixed(digit)
+//   %         percent with one decimal
+//   side      'T' / 'X' as the catalog's side name
+// du_doan reasons are rendered from the vi catalog, so their keys keep the historical wording.
+const LANGS = ['vi', 'en'];
+const DEFAULT_LANG = 'vi';
+
+const CATALOGS = {
+  vi: {
+    'side.T': 'Tài',
+    'side.X': 'Xỉu',
+    'du.learned_pattern': "Dự theo mẫu đã học '{pattern}' tin cậy {confidence|2}",
+    'du.error_memory': 'AI tự học lỗi: mẫu {pattern} gây sai nhiều → đảo',
+    'du.miss_streak_flip': 'Sai liên tiếp {misses} → đổi',
+    'du.signal_change': 'Phát hiện dấu hiệu đổi cầu → đổi hướng',
+    'du.first_hand_high': 'Tay đầu tổng {total} >=16 → Tài',
+    'du.first_hand_low': 'Tay đầu tổng {total} <=6 → Xỉu',
+    'du.first_hand_total': 'Tay đầu → Dựa tổng {total}',
+    'du.second_hand_high': 'Tay 2 tổng {total} >=16 → Tài',
+    'du.second_hand_low': 'Tay 2 tổng {total} <=6 → Xỉu',
+    'du.second_hand_reverse': 'Tay 2 → dự đoán ngược ({last})',
+    'du.bet_bet': 'Phát hiện cầu bệt-bệt {pattern}',
+    'du.point_repeat_3': '3 lần lặp điểm: {total}',
+    'du.point_repeat_2': 'Kép điểm: {total}',
+    'du.triple_dice_xiu': '3 xúc xắc {face} → Xỉu',
+    'du.triple_dice_tai': '3 xúc xắc {face} → Tài',
+    'du.triple_six_streak': '3 xúc xắc 6 + bệt → Tài',
+    'du.streak_try_break_tai': '⚠️ Bệt Tài ≥5 chưa có xx3 → Bẻ thử',
+    'du.streak_hold_tai': 'Ôm tiếp bệt Tài chờ xx3',
+    'du.streak_break_tai': 'Bệt Tài + Xí ngầu 3 → Bẻ',
+    'du.streak_try_break_xiu': '⚠️ Bệt Xỉu ≥5 chưa có xx5 → Bẻ thử',
+    'du.streak_hold_xiu': 'Ôm tiếp bệt Xỉu chờ xx5',
+    'du.streak_break_xiu': 'Bệt Xỉu + Xí ngầu 5 → Bẻ',
+    'du.streak_follow': 'Bệt {side} ({run} tay)',
+    'du.cau_1_1_break_5': 'Bẻ nhẹ cầu 1-1 tại tay 5 ({pattern})',
+    'du.cau_1_1_break_6': 'Ôm thêm tay 6 rồi bẻ cầu 1-1 ({pattern})',
+    'du.cau_mau': 'Phát hiện cầu {name}',
+    'du.one_one_break': 'Bẻ cầu 1-1 ({hands} tay)',
+    'du.miss_flip': 'Sai 3 lần → Đổi chiều',
+    'du.old_error_pattern': 'Mẫu sai cũ',
+    'du.imbalance': 'Lệch {diff} cầu → Ưu tiên {side}',
+    'du.follow_last': 'Không rõ mẫu → Theo tay gần nhất',
+    'du.no_match': 'Không có quy tắc nào khớp',
+    'du.error': 'Lỗi trong du_doan_js: {error}',
+    'factor.ensemble': 'Tổ hợp mô hình nghiêng về {direction|side}: P(Tài) = {pT|%}',
+    'factor.model': 'Mô hình {model} (trọng số {weight|3}): P(Tài) = {pT|%}',
+    'factor.manual': 'Mẫu thủ công {id}: {note}',
+    'factor.calibration': 'Hiệu chỉnh {method} trên {samples} ván: P(Tài) {raw_pT|%} → {pT|%}',
+    'factor.regime': 'Loại cầu {type} (tin cậy {confidence|%})',
+    'factor.run_long': 'Bệt {run} tay {side|side} → tăng khả năng bẻ',
+    'factor.run_short': 'Chuỗi ngắn ({run} tay) → momentum ủng hộ tiếp tục',
+    'factor.pattern': 'Mẫu cầu {type} (độ mạnh {strength|2})',
+    'summary': 'Dự đoán {prediction|side} với P(Tài) = {pT|%}'
+  },
+  en: {
+    'side.T': 'Tài (big)',
+    'side.X': 'Xỉu (small)',
+    'du.learned_pattern': "Follows learned pattern '{pattern}' (reliability {confidence|2})",
+    'du.error_memory': 'Learned error: pattern {pattern} was often missed → reverse',
+    'du.miss_streak_flip': '{misses} misses in a row → switch',
+    'du.signal_change': 'Road change signal → reverse',
+    'du.first_hand_high': 'First hand, total {total} ≥ 16 → Tài',
+    'du.first_hand_low': 'First hand, total {total} ≤ 6 → Xỉu',
+    'du.first_hand_total': 'First hand → by total {total}',
+    'du.second_hand_high': 'Second hand, total {total} ≥ 16 → Tài',
+    'du.second_hand_low': 'Second hand, total {total} ≤ 6 → Xỉu',
+    'du.second_hand_reverse': 'Second hand → against the last result ({last|side})',
+    'du.bet_bet': 'Streak-streak road {pattern}',
+    'du.point_repeat_3': 'Same total three times: {total}',
+    'du.point_repeat_2': 'Same total twice: {total}',
+    'du.triple_dice_xiu': 'Triple {face} → Xỉu',
+    'du.triple_dice_tai': 'Triple {face} → Tài',
+    'du.triple_six_streak': 'Triple 6 during a streak → Tài',
+    'du.streak_try_break_tai': '⚠️ Tài streak ≥ 5 without a 3 → try a break',
+    'du.streak_hold_tai': 'Stay with the Tài streak until a 3 shows',
+    'du.streak_break_tai': 'Tài streak and a 3 → break',
+    'du.streak_try_break_xiu': '⚠️ Xỉu streak ≥ 5 without a 5 → try a break',
+    'du.streak_hold_xiu': 'Stay with the Xỉu streak until a 5 shows',
+    'du.streak_break_xiu': 'Xỉu streak and a 5 → break',
+    'du.streak_follow': 'Streak of {side|side} ({run} hands)',
+    'du.cau_1_1_break_5': 'Soft break of the 1-1 road at hand 5 ({pattern})',
+    'du.cau_1_1_break_6': 'Hold hand 6, then break the 1-1 road ({pattern})',
+    'du.cau_mau': 'Road pattern {name} detected',
+    'du.one_one_break': 'Break the 1-1 road ({hands} hands)',
+    'du.miss_flip': '3 misses → reverse',
+    'du.old_error_pattern': 'Previously missed pattern',
+    'du.imbalance': '{diff} more of one side → favour {side|side}',
+    'du.follow_last': 'No clear pattern → follow the last hand',
+    'du.no_match': 'No rule matched',
+    'du.error': 'Error in du_doan_js: {error}',
+    'factor.ensemble': 'Model ensemble leans {direction|side}: P(Tài) = {pT|%}',
+    'factor.model': 'Model {model} (weight {weight|3}): P(Tài) = {pT|%}',
+    'factor.manual': 'Manual pattern {id}: {note}',
+    'factor.calibration': 'Calibration ({method}, {samples} rounds): P(Tài) {raw_pT|%} → {pT|%}',
+    'factor.regime': 'Road type {type} (confidence {confidence|%})',
+    'factor.run_long': 'Run of {run} {side|side} → a break is more likely',
+    'factor.run_short': 'Short run ({run} hands) → momentum favours continuing',
+    'factor.pattern': 'Road pattern {type} (strength {strength|2})',
+    'summary': 'Predicts {prediction|side} with P(Tài) = {pT|%}'
+  }
+};
+
+function formatValue(value, fmt, lang) {
+  if (value === null || value === undefined) return '-';
+  if (!fmt) return String(value);
+  if (fmt === 'side') return CATALOGS[lang]['side.' + value] || String(value);
+  if (fmt === '%') return (Number(value) * 100).toFixed(1) + '%';
+  return Number(value).toFixed(Number(fmt));
+}
+
+// Unknown keys render as the key itself so a missing translation is visible, not fatal
+function format(lang, key, params = {}) {
+  const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANG];
+  const template = catalog[key] !== undefined ? catalog[key] : CATALOGS[DEFAULT_LANG][key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)(?:\|([\w%]+))?\}/g, (m, name, fmt) => formatValue(params[name], fmt, lang));
+}
+
+// ?lang= wins over Accept-Language; returns { lang } or { error } for an unsupported ?lang
+function pickLang(req) {
+  if (req.query && req.query.lang !== undefined) {
+    const lang = String(req.query.lang).toLowerCase().split('-')[0];
+    if (!LANGS.includes(lang)) return { error: `lang phải là một trong ${LANGS.join(', ')}` };
+    return { lang };
+  }
+  return { lang: (req.acceptsLanguages && req.acceptsLanguages(LANGS)) || DEFAULT_LANG };
+}
+
+// Adds `lang`, a one-line `summary` and each factor's `message`; keys and params stay for clients
+// with their own catalogs
+function localizeExplanation(expl, lang) {
+  return {
+    ...expl,
+    lang,
+    summary: format(lang, 'summary', expl),
+    factors: expl.factors.map(f => ({ ...f, message: format(lang, f.key, f.params) }))
+  };
+}
+
+module.exports = { LANGS, DEFAULT_LANG, CATALOGS, format, pickLang, localizeExplanation };
@@ -0,0 +1,140 @@
+// Prometheus Metrics: counters, gauges and histograms with labels, rendered in the text
+// exposition format. Values that already live in the service (history size, weights, accuracy)
+// are gauges set by a collect() callback at scrape time rather than tracked twice.
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const keys = Object.keys(labels);
+  return keys.length ? `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+  entry(labels, init) {
+    const id = JSON.stringify(labels);
+    let e = this.series.get(id);
+    if (!e) this.series.set(id, e = { labels: { ...labels }, ...init() });
+    return e;
+  }
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+  inc(labels = {}, by = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += by;
+  }
+  lines() {
+    return [...this.series.values()].map(e => `${this.name}${labelText(e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+  lines() {
+    return [...this.series.values()].map(e => `${this.name}${labelText(e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+  observe(labels, value) {
+    const e = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((b, i) => { if (value <= b) e.counts[i]++; });
+    e.sum += value;
+    e.count++;
+  }
+  lines() {
+    const out = [];
+    this.series.forEach(e => {
+      this.buckets.forEach((b, i) => out.push(`${this.name}_bucket${labelText({ ...e.labels, le: b })} ${e.counts[i]}`));
+      out.push(`${this.name}_bucket${labelText({ ...e.labels, le: '+Inf' })} ${e.count}`);
+      out.push(`${this.name}_sum${labelText(e.labels)} ${formatValue(e.sum)}`);
+      out.push(`${this.name}_count${labelText(e.labels)} ${e.count}`);
+    });
+    return out;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+  counter(name, help) {
+    return this.add(new Counter(name, help));
+  }
+  gauge(name, help) {
+    return this.add(new Gauge(name, help));
+  }
+  histogram(name, help, buckets) {
+    return this.add(new Histogram(name, help, buckets));
+  }
+  // fn() runs before every render to refresh scrape-time gauges
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+  render() {
+    this.collectors.forEach(fn => fn());
+    const out = [];
+    this.metrics.forEach(m => {
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines());
+    });
+    return out.join('\n') + '\n';
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// The series this API exports, on a registry of their own. Event counters are bumped where things
+// happen (see Source); state (history, weights, accuracy) is set by a collect() callback in app.js.
+function createServiceMetrics(fetchBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const registry = new Registry();
+  return {
+    registry,
+    fetchSeconds: registry.histogram('taixiu_upstream_fetch_duration_seconds', 'Upstream fetch latency', fetchBuckets),
+    fetchErrors: registry.counter('taixiu_upstream_fetch_errors_total', 'Failed upstream fetches'),
+    lastFetch: registry.gauge('taixiu_upstream_last_success_timestamp_seconds', 'Unix time of the last successful upstream fetch'),
+    ingested: registry.counter('taixiu_rounds_ingested_total', 'Rounds added to history'),
+    rejected: registry.counter('taixiu_rounds_rejected_total', 'Upstream rows quarantined by validation'),
+    history: registry.gauge('taixiu_history_rounds', 'Rounds in stored history'),
+    predictions: registry.counter('taixiu_predictions_total', 'Predictions issued'),
+    resolved: registry.counter('taixiu_predictions_resolved_total', 'Predictions checked against the actual round, by outcome'),
+    accuracy: registry.gauge('taixiu_rolling_accuracy', 'Hit rate of the last METRICS_ACCURACY_WINDOW resolved predictions, by predictor (final = served)'),
+    weights: registry.gauge('taixiu_ensemble_weight', 'Current Ensemble weight per model'),
+    streamClients: registry.gauge('taixiu_stream_clients', 'Connected SSE/WebSocket clients'),
+    httpRequests: registry.counter('http_requests_total', 'HTTP requests by route and status'),
+    httpSeconds: registry.histogram('http_request_duration_seconds', 'HTTP request latency', [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5])
+  };
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, CONTENT_TYPE, createServiceMetrics };
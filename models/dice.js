@@ -0,0 +1,25 @@
+const { last } = require('../utils');
+const { faceCounts, smoothedFaceProbs, totalsDistribution, taiProbability } = require('../dice');
+
+// Dice Model: P(Tài) from the distribution of totals implied by recent face frequencies.
+// Works on rounds rather than the T/X sequence, so it needs the optional `rounds` argument.
+class DiceModel {
+  constructor(window = 500, prior = 30) {
+    this.window = window;
+    this.prior = prior;
+    this.faceProbs = [1, 1, 1, 1, 1, 1].map(x => x / 6);
+  }
+  train(seq, rounds = []) {
+    this.faceProbs = smoothedFaceProbs(faceCounts(last(rounds, this.window)).pooled, this.prior);
+  }
+  predictProba() {
+    const pT = taiProbability(totalsDistribution(this.faceProbs));
+    return { T: pT, X: 1 - pT };
+  }
+}
+
+module.exports = {
+  name: 'dice',
+  create: config => new DiceModel(config.DICE_WINDOW, config.DICE_PRIOR),
+  DiceModel
+};
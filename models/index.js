@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Model Registry
+//
+// A model module exports { name, create(config) }. create() returns an object with
+//   train(seq, rounds)              rebuild from the full T/X sequence
+//   predictProba(seq, rounds, features) → { T, X }
+//   update(seqBefore, next, rounds) optional; learn one round incrementally instead of train()
+// `rounds` is the raw history (dice, Tong) behind `seq`; models that only need T/X can ignore it.
+// `features` holds analyses shared by all models, currently { regime } (RegimeDetector.analyze).
+const registry = new Map();
+
+function registerModel(def, source = 'inline') {
+  if (!def || typeof def.name !== 'string' || !def.name) throw new Error(`Model ${source}: thiếu name`);
+  if (typeof def.create !== 'function') throw new Error(`Model ${def.name}: thiếu create(config)`);
+  registry.set(def.name, { ...def, source });
+  return def.name;
+}
+
+function loadModelsDir(dir) {
+  const loaded = [];
+  fs.readdirSync(dir)
+    .filter(f => f.endsWith('.js') && f !== 'index.js')
+    .sort()
+    .forEach(f => {
+      const file = path.resolve(dir, f);
+      loaded.push(registerModel(require(file), file));
+    });
+  return loaded;
+}
+
+// loadModelsDir() once per directory, so every Ensemble built with MODELS_DIR (server, backtest,
+// simulate, library callers) sees the same registry
+const loadedDirs = new Set();
+function useModelsDir(dir) {
+  const resolved = path.resolve(dir);
+  if (loadedDirs.has(resolved)) return;
+  loadModelsDir(resolved);
+  loadedDirs.add(resolved);
+}
+
+function createModel(name, config) {
+  const def = registry.get(name);
+  if (!def) throw new Error(`Model chưa đăng ký: ${name}`);
+  const model = def.create(config);
+  if (!model || typeof model.predictProba !== 'function' || typeof model.train !== 'function') {
+    throw new Error(`Model ${name}: phải có train(seq) và predictProba(seq)`);
+  }
+  return model;
+}
+
+function listModels() {
+  return [...registry.values()].map(d => ({ name: d.name, source: d.source }));
+}
+
+loadModelsDir(__dirname);
+
+module.exports = { registerModel, loadModelsDir, useModelsDir, createModel, listModels };
@@ -0,0 +1,98 @@
+// Markov Model: variable order 0..N blended by context-tree weighting, updated one round at a time.
+//
+// tables[k][ctx] holds, for each order-k context, the T/X counts that followed it, the log of their
+// KT estimate (le) and the log of the weighted probability (lw): at depth N lw = le, above it
+//   Pw = ½·Pe + ½·Pw(T·ctx)·Pw(X·ctx)
+// i.e. an equal prior on "this context is enough" and "look one round further back". The next
+// round's probability is the ratio of the root's Pw with and without it, so deep contexts only
+// count once their data beat the shorter ones, and fair dice come out close to ½.
+const LOG_HALF = Math.log(0.5);
+
+function logSumExp(a, b) {
+  const m = Math.max(a, b);
+  return m + Math.log(Math.exp(a - m) + Math.exp(b - m));
+}
+
+const EMPTY = { T: 0, X: 0, le: 0, lw: 0 };
+
+class MarkovModel {
+  constructor(order = 3) {
+    this.order = order;
+    this.tables = [];
+    this.reset();
+  }
+  reset() {
+    this.tables = [];
+    for (let k = 0; k <= this.order; k++) this.tables.push({});
+  }
+  nodeAt(ctx) {
+    return this.tables[ctx.length][ctx] || EMPTY;
+  }
+  // Log-probability of the whole history with `next` appended, walking from the deepest context
+  // of `seq` up to the root; with `commit` the counts are stored
+  walk(seq, next, commit) {
+    const maxK = Math.min(this.order, seq.length);
+    const tail = seq.slice(seq.length - maxK).join('');
+    let child = null, childLw = 0;
+    for (let k = maxK; k >= 0; k--) {
+      const ctx = tail.slice(maxK - k);
+      const node = this.nodeAt(ctx);
+      const le = node.le + Math.log((node[next] + 0.5) / (node.T + node.X + 1));
+      let lw = le;
+      // Below the full depth every node mixes in its children; absent ones count as 1. The deepest
+      // context of a short history keeps its stored children, so the tree stays consistent.
+      if (k < this.order) {
+        const children = child !== null
+          ? childLw + this.nodeAt((child[0] === 'T' ? 'X' : 'T') + ctx).lw
+          : this.nodeAt('T' + ctx).lw + this.nodeAt('X' + ctx).lw;
+        lw = LOG_HALF + logSumExp(le, children);
+      }
+      if (commit) {
+        const stored = this.tables[k][ctx] || (this.tables[k][ctx] = { T: 0, X: 0, le: 0, lw: 0 });
+        stored[next]++;
+        stored.le = le;
+        stored.lw = lw;
+      }
+      child = ctx;
+      childLw = lw;
+    }
+    return childLw;
+  }
+  update(seqBefore, next) {
+    if (next !== 'T' && next !== 'X') return;
+    this.walk(seqBefore, next, true);
+  }
+  train(seq) {
+    this.reset();
+    for (let i = 0; i < seq.length; i++) this.update(seq.slice(Math.max(0, i - this.order), i), seq[i]);
+  }
+  // Effective context: from the root, go one round further back while the tree's posterior
+  // prefers splitting (Pe < Pw, so "stop here" has under half the posterior) and the longer context has samples
+  effectiveContext(seq) {
+    const maxK = Math.min(this.order, seq.length);
+    const tail = seq.slice(seq.length - maxK).join('');
+    let ctx = '';
+    for (let k = 0; k < maxK; k++) {
+      const node = this.nodeAt(ctx);
+      const next = tail.slice(maxK - k - 1);
+      if (node.le >= node.lw || !(this.nodeAt(next).T + this.nodeAt(next).X)) break;
+      ctx = next;
+    }
+    const node = this.nodeAt(ctx);
+    return { context: ctx, order: ctx.length, samples: node.T + node.X };
+  }
+  // Normalized over both branches: a history shorter than the order is only counted down to its
+  // own depth, so for those first rounds the two ratios don't quite sum to 1
+  predictProba(seq) {
+    const root = this.nodeAt('').lw;
+    const t = Math.exp(this.walk(seq, 'T', false) - root), x = Math.exp(this.walk(seq, 'X', false) - root);
+    const pT = Math.min(Math.max(t / (t + x), 1e-6), 1 - 1e-6);
+    return { T: pT, X: 1 - pT, ...this.effectiveContext(seq) };
+  }
+}
+
+module.exports = {
+  name: 'markov',
+  create: config => new MarkovModel(config.MARKOV_ORDER),
+  MarkovModel
+};
@@ -0,0 +1,24 @@
+const { clamp, last, counts } = require('../utils');
+
+// Momentum Model
+class MomentumModel {
+  train() {}
+  predictProba(seq) {
+    const nShort = 5, nMid = 15;
+    const s1 = last(seq, nShort);
+    const s2 = last(seq, nMid);
+    const c1 = counts(s1), c2 = counts(s2);
+    const scoreShort = (c1.T - c1.X) / (nShort || 1);
+    const scoreMid = (c2.T - c2.X) / (nMid || 1);
+    let momentum = 0.7 * scoreShort + 0.3 * scoreMid;
+    const shift = clamp(momentum * 0.4, -0.4, 0.4);
+    const pT = clamp(0.5 + shift, 0.02, 0.98);
+    return { T: pT, X: 1 - pT };
+  }
+}
+
+module.exports = {
+  name: 'momentum',
+  create: () => new MomentumModel(),
+  MomentumModel
+};
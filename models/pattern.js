@@ -0,0 +1,43 @@
+const { clamp, last, computeRunLength } = require('../utils');
+
+// Pattern Model
+class PatternModel {
+  train() {}
+  detectPattern(seq) {
+    if (seq.length >= 6) {
+      const tail = last(seq, 6).join('');
+      if (/^([TX])([TX])\1\2\1\2$/.test(tail)) return { type: 'zigzag', strength: 0.9 };
+    }
+    const { value, run } = computeRunLength(seq);
+    if (run >= 4) return { type: 'streak', strength: clamp((run - 3) / 10, 0.2, 0.9) };
+    if (seq.length >= 8) {
+      const tail = last(seq, 8).join('');
+      if (/^(T{2}X{2})+|^(X{2}T{2})+/.test(tail)) return { type: 'twin', strength: 0.85 };
+    }
+    return { type: 'none', strength: 0.0 };
+  }
+  predictProba(seq) {
+    const p = { T: 0.5, X: 0.5 };
+    const detected = this.detectPattern(seq);
+    if (detected.type === 'zigzag') {
+      const lastVal = seq[seq.length - 1];
+      p[lastVal === 'T' ? 'X' : 'T'] = 0.6 * detected.strength + 0.4;
+      p[lastVal] = 1 - p[lastVal === 'T' ? 'X' : 'T'];
+    } else if (detected.type === 'streak') {
+      const lastVal = seq[seq.length - 1];
+      p[lastVal] = 0.55 * detected.strength + 0.45;
+      p[lastVal === 'T' ? 'X' : 'T'] = 1 - p[lastVal];
+    } else if (detected.type === 'twin') {
+      const lastVal = seq[seq.length - 1];
+      p[lastVal === 'T' ? 'X' : 'T'] = 0.62 * detected.strength + 0.38;
+      p[lastVal] = 1 - p[lastVal === 'T' ? 'X' : 'T'];
+    }
+    return p;
+  }
+}
+
+module.exports = {
+  name: 'pattern',
+  create: () => new PatternModel(),
+  PatternModel
+};
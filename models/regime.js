@@ -0,0 +1,17 @@
+// Regime Model: the regime detector's predictive P(next = T), mixing each regime's rule by its
+// posterior one round ahead. Needs features.regime from PredictorService; ½ without it.
+class RegimeModel {
+  train() {}
+  predictProba(seq, rounds, features = {}) {
+    const r = features.regime;
+    if (!r || !Number.isFinite(r.pNextT)) return { T: 0.5, X: 0.5 };
+    const pT = Math.min(Math.max(r.pNextT, 0.02), 0.98);
+    return { T: pT, X: 1 - pT, regime: r.type };
+  }
+}
+
+module.exports = {
+  name: 'regime',
+  create: () => new RegimeModel(),
+  RegimeModel
+};
@@ -0,0 +1,28 @@
+const { clamp, computeRunLength } = require('../utils');
+
+// Run Length Model
+class RunLengthModel {
+  constructor(shortWindow = 6, longWindow = 20) {
+    this.shortWindow = shortWindow;
+    this.longWindow = longWindow;
+  }
+  train() {}
+  predictProba(seq) {
+    if (!seq.length) return { T: 0.5, X: 0.5 };
+    const { value, run } = computeRunLength(seq);
+    const shortThreshold = this.shortWindow;
+    const longThreshold = this.longWindow;
+    let contProb = 0.6 * Math.exp(-run / shortThreshold) + 0.3 * Math.exp(-run / longThreshold);
+    contProb = clamp(contProb, 0.05, 0.95);
+    const res = { T: 0.5, X: 0.5 };
+    if (value === 'T') { res.T = contProb; res.X = 1 - contProb; }
+    else { res.X = contProb; res.T = 1 - contProb; }
+    return res;
+  }
+}
+
+module.exports = {
+  name: 'run_length',
+  create: config => new RunLengthModel(config.RUN_WINDOW_SHORT, config.RUN_WINDOW_LONG),
+  RunLengthModel
+};
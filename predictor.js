@@ -0,0 +1,550 @@
+const { nowStr, clamp, labelOf, seqFromHistory, computeRunLength } = require('./utils');
+const { CONFIG } = require('./config');
+const { useModelsDir, createModel } = require('./models');
+const { PatternModel } = require('./models/pattern');
+const { analyzeDice } = require('./dice');
+const { RegimeDetector } = require('./regime');
+const { RuleStore } = require('./rules');
+const { du_doan_js, RULE_IDS } = require('./du_doan');
+const { format } = require('./messages');
+const log = require('./log');
+
+// Ensemble Model: mixes the enabled registry models, each with its own weight and perfEMA
+class Ensemble {
+  constructor(names = CONFIG.MODELS, config = CONFIG) {
+    if (config.MODELS_DIR) useModelsDir(config.MODELS_DIR);
+    this.names = names.slice();
+    this.weights = {};
+    this.names.forEach(m => this.weights[m] = 1 / this.names.length);
+    this.perfEMA = {};
+    this.names.forEach(m => this.perfEMA[m] = 0.5);
+    this.models = {};
+    this.names.forEach(m => this.models[m] = createModel(m, config));
+  }
+  // `rounds` is the raw history behind `seq`, for models that look at dice rather than T/X
+  trainAll(seq, rounds) {
+    this.names.forEach(m => this.models[m].train(seq, rounds));
+  }
+  // One new round: incremental models update(), the rest retrain on the full sequence
+  learn(seqBefore, actual, seq, rounds) {
+    this.names.forEach(m => {
+      const model = this.models[m];
+      if (typeof model.update === 'function') model.update(seqBefore, actual, rounds);
+      else model.train(seq, rounds);
+    });
+  }
+  // `features` carries shared analyses (currently { regime }) for models that use them
+  predictProba(seq, rounds, features = {}) {
+    const modelProbas = {};
+    this.names.forEach(m => { modelProbas[m] = this.models[m].predictProba(seq, rounds, features); });
+    const mix = { T: 0, X: 0 };
+    this.names.forEach(m => {
+      const w = this.weights[m] || 0;
+      mix.T += w * modelProbas[m].T;
+      mix.X += w * modelProbas[m].X;
+    });
+    const tot = mix.T + mix.X || 1;
+    mix.T /= tot; mix.X /= tot;
+    return { distribution: mix, modelProbas, weights: { ...this.weights } };
+  }
+  getState() {
+    return { weights: { ...this.weights }, perfEMA: { ...this.perfEMA } };
+  }
+  // Models enabled since the state was saved start from an equal share
+  setState(state) {
+    if (!state) return;
+    this.names.forEach(m => {
+      if (state.weights && typeof state.weights[m] === 'number') this.weights[m] = state.weights[m];
+      if (state.perfEMA && typeof state.perfEMA[m] === 'number') this.perfEMA[m] = state.perfEMA[m];
+    });
+    const sum = Object.values(this.weights).reduce((a, b) => a + b, 0) || 1;
+    this.names.forEach(m => this.weights[m] /= sum);
+  }
+  updateWeights(seqBefore, actual, roundsBefore, features = {}) {
+    this.names.forEach(m => {
+      const p = this.models[m].predictProba(seqBefore, roundsBefore, features)[actual];
+      const score = clamp(p, 0.001, 0.999);
+      const old = this.perfEMA[m] || 0.5;
+      const alpha = 0.08;
+      this.perfEMA[m] = old * (1 - alpha) + alpha * score;
+    });
+    const raw = {}; let sumRaw = 0;
+    this.names.forEach(m => { raw[m] = Math.pow(this.perfEMA[m], 3); sumRaw += raw[m]; });
+    const newWeights = {};
+    this.names.forEach(m => {
+      const target = sumRaw ? raw[m] / sumRaw : 1 / this.names.length;
+      newWeights[m] = clamp(this.weights[m] * (1 - 0.05) + target * 0.05, 0.0001, 0.9999);
+    });
+    const sumNew = Object.values(newWeights).reduce((a, b) => a + b, 0) || 1;
+    this.names.forEach(m => this.weights[m] = newWeights[m] / sumNew);
+  }
+}
+
+// Manual Patterns and cầu mẫu come from the rules file (see rules.js). A service built without a
+// RuleStore uses NO_RULES: du_doan_js with its built-in rules only.
+const NO_RULES = Object.freeze({ manual: [], cau_mau: {}, du_doan: {} });
+
+// Loads and validates the rules file; a missing file is a warning, an invalid one throws
+function loadRules(file = CONFIG.RULES_FILE) {
+  const rules = new RuleStore(file, { duDoanRuleIds: RULE_IDS });
+  if (!rules.load()) log.warn('Không tải được file luật', { error: rules.lastError });
+  return rules;
+}
+
+// Match Manual Pattern: first enabled rule whose totals or T/X sequence matches the tail
+function matchManualPattern(rules, totals, seq = []) {
+  for (let pat of rules.manual) {
+    if (!pat.enabled) continue;
+    const p = pat.totals || pat.sequence.split('');
+    const source = pat.totals ? totals : seq;
+    if (p.length > source.length) continue;
+    let match = true;
+    for (let i = 0; i < p.length; i++) {
+      if (source[source.length - p.length + i] !== p[i]) {
+        match = false; break;
+      }
+    }
+    if (match) return { id: pat.id, pred: pat.pred, note: pat.note, weight: pat.weight, source: 'manual' };
+  }
+  return null;
+}
+
+// Fusion Weights: Hedge over the top-level sources. A source that is silent for a round
+// (manual without a match) is a sleeping expert: it is left out of the mix and keeps its weight.
+class FusionWeights {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.weights = { ...this.config.FUSION_INITIAL_WEIGHTS };
+    this.history = [];
+  }
+  // probas: { source: P(Tài) or null when the source has no opinion }
+  mix(probas) {
+    let sumW = 0, sumT = 0;
+    this.config.FUSION_SOURCES.forEach(src => {
+      if (probas[src] === null || probas[src] === undefined) return;
+      sumW += this.weights[src];
+      sumT += this.weights[src] * probas[src];
+    });
+    const T = sumW ? sumT / sumW : 0.5;
+    return { T, X: 1 - T };
+  }
+  update(probas, actual, phien) {
+    const active = this.config.FUSION_SOURCES.filter(src => probas[src] !== null && probas[src] !== undefined);
+    if (!active.length) return;
+    const massBefore = active.reduce((s, src) => s + this.weights[src], 0);
+    active.forEach(src => {
+      const pActual = actual === 'T' ? probas[src] : 1 - probas[src];
+      const loss = Math.pow(1 - pActual, 2);
+      this.weights[src] *= Math.exp(-this.config.FUSION_ETA * loss);
+    });
+    const massAfter = active.reduce((s, src) => s + this.weights[src], 0) || 1;
+    active.forEach(src => this.weights[src] *= massBefore / massAfter);
+    const k = this.config.FUSION_SOURCES.length, gamma = this.config.FUSION_MIN_SHARE;
+    const sum = this.config.FUSION_SOURCES.reduce((s, src) => s + this.weights[src], 0) || 1;
+    this.config.FUSION_SOURCES.forEach(src => this.weights[src] = (1 - gamma) * this.weights[src] / sum + gamma / k);
+    this.history.push({ Phien: phien, actual, weights: { ...this.weights } });
+    if (this.history.length > this.config.FUSION_HISTORY_MAX) this.history = this.history.slice(-this.config.FUSION_HISTORY_MAX);
+  }
+  getState() {
+    return { weights: { ...this.weights }, history: this.history };
+  }
+  setState(state) {
+    if (!state) return;
+    this.config.FUSION_SOURCES.forEach(src => {
+      if (state.weights && typeof state.weights[src] === 'number') this.weights[src] = state.weights[src];
+    });
+    this.history = Array.isArray(state.history) ? state.history.slice(-this.config.FUSION_HISTORY_MAX) : [];
+  }
+}
+
+// Calibrator: maps the fused P(Tài) to an observed frequency, fitted on resolved rounds
+class Calibrator {
+  constructor(method, config = CONFIG) {
+    this.config = config;
+    this.method = method || config.CALIBRATION_METHOD;
+    this.samples = [];
+    this.model = null;
+  }
+  add(p, yT) {
+    this.samples.push([p, yT ? 1 : 0]);
+    if (this.samples.length > this.config.CALIBRATION_WINDOW) this.samples = this.samples.slice(-this.config.CALIBRATION_WINDOW);
+    this.model = null;
+  }
+  ready() {
+    return this.method !== 'none' && this.samples.length >= this.config.CALIBRATION_MIN_SAMPLES;
+  }
+  fit() {
+    if (!this.ready()) return null;
+    this.model = this.method === 'platt' ? this.fitPlatt() : this.fitIsotonic();
+    return this.model;
+  }
+  // Pool-adjacent-violators; each block becomes a point (mean p, mean y) interpolated between
+  fitIsotonic() {
+    const sorted = this.samples.slice().sort((a, b) => a[0] - b[0]);
+    const blocks = [];
+    sorted.forEach(([x, y]) => {
+      blocks.push({ sumX: x, sumY: y, n: 1 });
+      while (blocks.length > 1) {
+        const b = blocks[blocks.length - 1], a = blocks[blocks.length - 2];
+        if (a.sumY / a.n < b.sumY / b.n) break;
+        a.sumX += b.sumX; a.sumY += b.sumY; a.n += b.n;
+        blocks.pop();
+      }
+    });
+    return {
+      type: 'isotonic',
+      xs: blocks.map(b => b.sumX / b.n),
+      ys: blocks.map(b => clamp(b.sumY / b.n, 0.01, 0.99)),
+      ns: blocks.map(b => b.n)
+    };
+  }
+  // Platt scaling on logit(p) with Platt's smoothed targets, fitted by Newton's method
+  fitPlatt() {
+    const logit = p => Math.log(clamp(p, 1e-6, 1 - 1e-6) / (1 - clamp(p, 1e-6, 1 - 1e-6)));
+    const nPos = this.samples.filter(s => s[1]).length;
+    const nNeg = this.samples.length - nPos;
+    const hi = (nPos + 1) / (nPos + 2), lo = 1 / (nNeg + 2);
+    const data = this.samples.map(([p, y]) => [logit(p), y ? hi : lo]);
+    let a = 1, b = 0;
+    for (let it = 0; it < 50; it++) {
+      let gA = 0, gB = 0, hAA = 1e-9, hAB = 0, hBB = 1e-9;
+      data.forEach(([x, t]) => {
+        const q = 1 / (1 + Math.exp(-(a * x + b)));
+        const d = q - t, w = q * (1 - q);
+        gA += d * x; gB += d;
+        hAA += w * x * x; hAB += w * x; hBB += w;
+      });
+      const det = hAA * hBB - hAB * hAB;
+      if (Math.abs(det) < 1e-12) break;
+      const dA = (hBB * gA - hAB * gB) / det;
+      const dB = (hAA * gB - hAB * gA) / det;
+      a -= dA; b -= dB;
+      if (Math.abs(dA) < 1e-8 && Math.abs(dB) < 1e-8) break;
+    }
+    return { type: 'platt', a, b };
+  }
+  transform(p) {
+    const model = this.model || this.fit();
+    if (!model) return p;
+    if (model.type === 'platt') {
+      const x = Math.log(clamp(p, 1e-6, 1 - 1e-6) / (1 - clamp(p, 1e-6, 1 - 1e-6)));
+      return clamp(1 / (1 + Math.exp(-(model.a * x + model.b))), 0.01, 0.99);
+    }
+    const { xs, ys } = model;
+    if (p <= xs[0]) return ys[0];
+    if (p >= xs[xs.length - 1]) return ys[ys.length - 1];
+    let i = 1;
+    while (xs[i] < p) i++;
+    const t = (p - xs[i - 1]) / ((xs[i] - xs[i - 1]) || 1);
+    return ys[i - 1] + t * (ys[i] - ys[i - 1]);
+  }
+  // Reliability diagram: per bin of raw P(Tài), the mean raw and calibrated values vs the observed rate
+  reliability(nBins = this.config.CALIBRATION_BINS) {
+    const bins = [];
+    for (let i = 0; i < nBins; i++) bins.push({ from: i / nBins, to: (i + 1) / nBins, n: 0, sumRaw: 0, sumCal: 0, sumY: 0 });
+    let brierRaw = 0, brierCal = 0;
+    this.samples.forEach(([p, y]) => {
+      const c = this.transform(p);
+      const b = bins[Math.min(Math.floor(p * nBins), nBins - 1)];
+      b.n++; b.sumRaw += p; b.sumCal += c; b.sumY += y;
+      brierRaw += Math.pow(p - y, 2);
+      brierCal += Math.pow(c - y, 2);
+    });
+    const n = this.samples.length;
+    const ece = key => n ? bins.reduce((s, b) => s + (b.n ? b.n * Math.abs(b[key] / b.n - b.sumY / b.n) : 0), 0) / n : null;
+    return {
+      method: this.method,
+      active: this.ready(),
+      samples: n,
+      min_samples: this.config.CALIBRATION_MIN_SAMPLES,
+      brier: { raw: n ? brierRaw / n : null, calibrated: n ? brierCal / n : null },
+      ece: { raw: ece('sumRaw'), calibrated: ece('sumCal') },
+      model: this.model,
+      bins: bins.map(b => ({
+        from: b.from,
+        to: b.to,
+        n: b.n,
+        meanRaw: b.n ? b.sumRaw / b.n : null,
+        meanCalibrated: b.n ? b.sumCal / b.n : null,
+        observed: b.n ? b.sumY / b.n : null
+      }))
+    };
+  }
+  getState() {
+    return { method: this.method, samples: this.samples };
+  }
+  setState(state) {
+    if (!state || !Array.isArray(state.samples)) return;
+    this.samples = state.samples.slice(-this.config.CALIBRATION_WINDOW);
+    this.model = null;
+  }
+}
+
+// Giai_thich as clients have always received it, rendered from the structured explanation
+function legacyReason(expl) {
+  const f = src => expl.factors.find(x => x.source === src);
+  const ens = f('ensemble'), du = f('du_doan'), manual = f('manual'), cal = f('calibration');
+  const w = expl.fusion_weights;
+  const duReason = format('vi', du.key, du.params);
+  return [
+    `Ensemble: ${ens.direction} (pT=${ens.params.pT.toFixed(3)}, pX=${ens.params.pX.toFixed(3)})`,
+    du.direction ? `du_doan: ${du.direction} (score=${du.params.score}, rule=${du.rule}) - ${duReason}` : `du_doan: - (${duReason})`,
+    manual ? `Manual: ${manual.direction} (${manual.params.note})` : null,
+    `Fusion weights: ensemble=${w.ensemble.toFixed(3)}, du=${w.du.toFixed(3)}, manual=${w.manual.toFixed(3)}`,
+    `Final fusion: pT=${expl.raw_pT.toFixed(3)}, pX=${(1 - expl.raw_pT).toFixed(3)}`,
+    cal ? `Calibrated (${cal.params.method}, n=${cal.params.samples}): pT=${expl.pT.toFixed(3)}, pX=${(1 - expl.pT).toFixed(3)}` : null
+  ].filter(x => x).join(' | ');
+}
+
+// Predictor Service: everything learned from one table's rounds. opts: { config, rules (a RuleStore
+// or NO_RULES), patternMemory, errorMemory, calibration }; the memories are shared, not copied.
+class PredictorService {
+  constructor(history, opts = {}) {
+    this.config = opts.config || CONFIG;
+    this.rules = opts.rules || NO_RULES;
+    this.history = history || [];
+    this.ensemble = new Ensemble(this.config.MODELS, this.config);
+    this.ensemble.trainAll(seqFromHistory(this.history), this.history);
+    this.regime = new RegimeDetector({ window: this.config.REGIME_WINDOW, minConfidence: this.config.REGIME_MIN_CONFIDENCE });
+    this.regime.fit(seqFromHistory(this.history));
+    this.regimeAge = 0; // rounds learned since the last fit
+    this.predHistory = [];
+    this.data_store = {};
+    this.dem_sai = 0;
+    this.pattern_sai = {};
+    this.diem_lich_su = this.history.slice(-6, -1).map(h => h.Tong).filter(x => x !== null && x !== undefined);
+    this.patternMemory = opts.patternMemory || {};
+    this.errorMemory = opts.errorMemory || {};
+    this.calibrator = new Calibrator(opts.calibration, this.config);
+    this.fusion = new FusionWeights(this.config);
+    // Fired/hit counts per du_doan rule id, rules-file manual id and cau_mau:<name>
+    this.ruleStats = {};
+    // Prediction issued for the next round, checked against it in learn()
+    this.pending = null;
+  }
+  predict() {
+    const seq = seqFromHistory(this.history);
+    const totals = this.history.map(h => h.Tong).filter(x => x !== null);
+    const regime = this.analyzeRegime(seq);
+    const roadType = regime.type;
+    const modelOut = this.ensemble.predictProba(seq, this.history, { regime });
+    const dice = analyzeDice(this.history, { window: this.config.DICE_WINDOW, prior: this.config.DICE_PRIOR });
+    const top = Math.max(modelOut.distribution.T, modelOut.distribution.X);
+    const entropy = - (modelOut.distribution.T * Math.log2(modelOut.distribution.T + 1e-9) + modelOut.distribution.X * Math.log2(modelOut.distribution.X + 1e-9));
+    const weightEntropy = -Object.values(this.ensemble.weights).reduce((s, w) => s + w * Math.log2(w + 1e-9), 0);
+    const weightConcentration = 1 - (weightEntropy / (Math.log2(this.ensemble.names.length) || 1));
+    const conf = clamp(this.config.BASE_CONFIDENCE * 0.3 + top * 0.6 + weightConcentration * 0.1 - (entropy * 0.05), 0, 1);
+    const runInfo = computeRunLength(seq);
+    const pat = (this.ensemble.models.pattern || new PatternModel()).detectPattern(seq);
+    const manual = matchManualPattern(this.rules, totals, seq);
+    const manualObj = manual ? { id: manual.id, pred: manual.pred, note: manual.note, weight: manual.weight } : null;
+    const last = this.history.length ? this.history[this.history.length - 1] : null;
+    const xx_str = last && last.Xuc_xac_1 ? `${last.Xuc_xac_1}-${last.Xuc_xac_2}-${last.Xuc_xac_3}` : '';
+    const human_seq_labels = this.history.map(labelOf).filter(x => x);
+    // du_doan_js mutates data_store and diem_lich_su; work on copies so repeated predict() calls for
+    // the same round agree, and commit data_store only once the round resolves
+    const data_store = { ...this.data_store };
+    const duObj = du_doan_js(human_seq_labels, this.dem_sai, this.pattern_sai, xx_str, this.diem_lich_su.slice(), data_store,
+      { pattern: this.patternMemory, error: this.errorMemory }, {
+        cau_mau: this.rules.cau_mau,
+        overrides: this.rules.du_doan,
+        learned: { min_count: this.config.PATTERN_MEM_MIN_COUNT, min_lower: this.config.PATTERN_MEM_MIN_LOWER }
+      });
+    const ensembleProb = modelOut.distribution;
+    const ensemblePred = ensembleProb.T >= ensembleProb.X ? 'T' : 'X';
+    // Fusion: each source as P(Tài), mixed with the online-learned weights
+    const sourceProbas = {
+      ensemble: ensembleProb.T,
+      du: duObj.pred ? (duObj.pred === 'T' ? duObj.score / 100 : (100 - duObj.score) / 100) : null,
+      manual: manualObj ? (manualObj.pred === 'T' ? manualObj.weight : 1 - manualObj.weight) : null
+    };
+    const weights = this.fusion.weights;
+    const fused = this.fusion.mix(sourceProbas);
+    const rawT = fused.T;
+    const rawX = fused.X;
+    // Calibration: fusion scores are not probabilities until mapped onto observed hit rates
+    const calibrated = this.calibrator.ready();
+    const finalT = calibrated ? this.calibrator.transform(rawT) : rawT;
+    const finalX = 1 - finalT;
+    const finalPred = finalT >= finalX ? 'T' : 'X';
+    const finalConf = clamp(Math.max(finalT, finalX), 0, 1);
+    const explanation = this.explain({ modelOut, ensemblePred, sourceProbas, weights, duObj, manualObj, rawT, finalT, calibrated, regime, runInfo, pat });
+    const reason = legacyReason(explanation);
+    this.pending = {
+      target: last && Number.isFinite(Number(last.Phien)) ? Number(last.Phien) + 1 : null,
+      pred: finalPred,
+      rawT,
+      sources: sourceProbas,
+      du_pred: duObj.pred,
+      du_rule: duObj.rule,
+      du_winner: duObj.winner,
+      manual: manualObj ? { id: manualObj.id, pred: manualObj.pred } : null,
+      last3: human_seq_labels.length >= 3 ? human_seq_labels.slice(-3).join(',') : null,
+      data_store
+    };
+    return {
+      timestamp: nowStr(),
+      prediction: finalPred === 'T' ? 'Tài' : 'Xỉu',
+      confidence: Math.round(finalConf * 10000) / 100,
+      distribution: { T: finalT, X: finalX },
+      raw_distribution: { T: rawT, X: rawX },
+      calibrated,
+      fusion: { weights: { ...weights }, sources: sourceProbas, history: this.fusion.history.slice(-20) },
+      dice,
+      ensemble: modelOut,
+      du_doan: duObj,
+      manual: manualObj,
+      reason,
+      explanation,
+      roadType,
+      roadConfidence: regime.confidence,
+      regime,
+      runInfo,
+      history_len: this.history.length,
+      last_round: last
+    };
+  }
+  // Checks the round against the prediction made for it, then folds it into history and models
+  learn(actualRound) {
+    const actual = labelOf(actualRound);
+    const resolved = actual ? this.resolve(actualRound, actual) : null;
+    const seqBefore = seqFromHistory(this.history);
+    const roundsBefore = this.history.slice();
+    this.history.push(actualRound);
+    if (this.history.length > this.config.MAX_HISTORY_STORE) this.history = this.history.slice(-this.config.MAX_HISTORY_STORE);
+    // diem_lich_su holds the totals before the latest round; du_doan_js appends the latest itself
+    this.diem_lich_su = this.history.slice(-6, -1).map(h => h.Tong).filter(x => x !== null && x !== undefined);
+    // A round without a result still joins the history, but nothing is learned from it
+    if (!actual) return null;
+    const seq = seqFromHistory(this.history);
+    this.ensemble.updateWeights(seqBefore, actual, roundsBefore, { regime: this.analyzeRegime(seqBefore, roundsBefore) });
+    this.ensemble.learn(seqBefore, actual, seq, this.history);
+    // Refits warm-start from the current parameters, so a few iterations are enough
+    if (++this.regimeAge >= this.config.REGIME_REFIT_EVERY) {
+      this.regime.fit(seq, 5);
+      this.regimeAge = 0;
+    }
+    return resolved;
+  }
+  resolve(round, actual) {
+    const target = Number.isFinite(Number(round.Phien)) ? Number(round.Phien) : null;
+    if (!this.pending || this.pending.target !== target) this.predict();
+    const p = this.pending;
+    this.pending = null;
+    // Miss counters track du_doan_js itself; a round it gave no prediction for leaves them alone
+    if (p.du_pred === actual) {
+      this.dem_sai = 0;
+      if (p.last3) {
+        delete this.pattern_sai[p.last3];
+        if (this.errorMemory[p.last3] > 1) this.errorMemory[p.last3]--;
+        else delete this.errorMemory[p.last3];
+      }
+    } else if (p.du_pred) {
+      this.dem_sai++;
+      if (p.last3) {
+        this.pattern_sai[p.last3] = (this.pattern_sai[p.last3] || 0) + 1;
+        this.errorMemory[p.last3] = (this.errorMemory[p.last3] || 0) + 1;
+      }
+    }
+    this.data_store = p.data_store;
+    if (typeof p.rawT === 'number') this.calibrator.add(p.rawT, actual === 'T');
+    if (p.sources) this.fusion.update(p.sources, actual, round.Phien);
+    if (p.manual) this.countRule(p.manual.id, p.manual.pred === actual);
+    if (p.du_winner) this.countRule(p.du_winner, p.du_pred === actual);
+    if (p.du_rule && p.du_rule !== p.du_winner) this.countRule(p.du_rule, p.du_pred === actual);
+    this.rememberPattern(actual);
+    return { Phien: round.Phien, predicted: p.pred, du_predicted: p.du_pred, actual, hit: p.pred === actual };
+  }
+  // Typed factors behind a prediction. `contribution` is the factor's share of final P(Tài) − ½:
+  // fusion is a weighted mean, so each source adds weight share × (its P(Tài) − ½), each model adds
+  // its share of the ensemble's, and calibration adds the shift it makes. Context factors have none.
+  explain({ modelOut, ensemblePred, sourceProbas, weights, duObj, manualObj, rawT, finalT, calibrated, regime, runInfo, pat }) {
+    const active = this.config.FUSION_SOURCES.filter(src => sourceProbas[src] !== null && sourceProbas[src] !== undefined);
+    const totalW = active.reduce((a, src) => a + weights[src], 0) || 1;
+    const share = src => (active.includes(src) ? weights[src] / totalW * (sourceProbas[src] - 0.5) : null);
+    const side = p => (p >= 0.5 ? 'T' : 'X');
+    const modelW = this.ensemble.names.reduce((a, m) => a + (this.ensemble.weights[m] || 0), 0) || 1;
+    const ensembleShare = weights.ensemble / totalW;
+    const factors = [{
+      source: 'ensemble', rule: null, key: 'factor.ensemble', direction: ensemblePred, contribution: share('ensemble'),
+      params: { direction: ensemblePred, pT: modelOut.distribution.T, pX: modelOut.distribution.X, weight: weights.ensemble }
+    }];
+    this.ensemble.names.forEach(m => {
+      const p = modelOut.modelProbas[m].T;
+      const w = this.ensemble.weights[m] || 0;
+      factors.push({
+        source: 'model', rule: m, key: 'factor.model', direction: side(p), contribution: ensembleShare * (w / modelW) * (p - 0.5),
+        params: { model: m, pT: p, weight: w }
+      });
+    });
+    factors.push({
+      source: 'du_doan', rule: duObj.winner, key: duObj.key, direction: duObj.pred, contribution: share('du'),
+      params: { ...duObj.params, score: duObj.score }
+    });
+    if (manualObj) {
+      factors.push({
+        source: 'manual', rule: manualObj.id, key: 'factor.manual', direction: manualObj.pred, contribution: share('manual'),
+        params: { id: manualObj.id, note: manualObj.note, weight: manualObj.weight }
+      });
+    }
+    if (calibrated) {
+      factors.push({
+        source: 'calibration', rule: this.calibrator.method, key: 'factor.calibration', direction: side(0.5 + finalT - rawT), contribution: finalT - rawT,
+        params: { method: this.calibrator.method, samples: this.calibrator.samples.length, raw_pT: rawT, pT: finalT }
+      });
+    }
+    factors.push({ source: 'regime', rule: regime.type, key: 'factor.regime', direction: null, contribution: null, params: { type: regime.type, confidence: regime.confidence } });
+    factors.push({
+      source: 'run', rule: null, key: runInfo.run >= this.config.RUN_WINDOW_SHORT ? 'factor.run_long' : 'factor.run_short', direction: null, contribution: null,
+      params: { run: runInfo.run, side: runInfo.value }
+    });
+    if (pat.type !== 'none') {
+      factors.push({ source: 'pattern', rule: pat.type, key: 'factor.pattern', direction: null, contribution: null, params: { type: pat.type, strength: pat.strength } });
+    }
+    return { prediction: side(finalT), pT: finalT, raw_pT: rawT, fusion_weights: { ...weights }, factors };
+  }
+  analyzeRegime(seq, rounds = this.history) {
+    return this.regime.analyze(seq, rounds.map(h => h.Phien));
+  }
+  countRule(id, hit) {
+    const st = this.ruleStats[id] || (this.ruleStats[id] = { fired: 0, hits: 0 });
+    st.fired++;
+    if (hit) st.hits++;
+  }
+  // PATTERN_MEMORY: for each recent suffix, how often T/X followed it; next_pred is the majority
+  rememberPattern(actual) {
+    const pattern = this.history.map(labelOf).filter(x => x).join('');
+    this.config.PATTERN_MEM_LENGTHS.forEach(len => {
+      if (pattern.length < len) return;
+      const key = pattern.slice(-len);
+      const stats = this.patternMemory[key] || (this.patternMemory[key] = { count: 0, correct: 0, next_pred: null, T: 0, X: 0 });
+      stats[actual]++;
+      stats.count++;
+      stats.next_pred = stats.T >= stats.X ? 'T' : 'X';
+      stats.correct = Math.max(stats.T, stats.X);
+    });
+  }
+  getState() {
+    return {
+      dem_sai: this.dem_sai,
+      pattern_sai: this.pattern_sai,
+      data_store: this.data_store,
+      pending: this.pending,
+      calibration: this.calibrator.getState(),
+      fusion: this.fusion.getState(),
+      ruleStats: this.ruleStats
+    };
+  }
+  setState(state) {
+    if (!state) return;
+    this.dem_sai = state.dem_sai || 0;
+    this.pattern_sai = state.pattern_sai || {};
+    this.data_store = state.data_store || {};
+    this.pending = state.pending || null;
+    this.calibrator.setState(state.calibration);
+    this.fusion.setState(state.fusion);
+    this.ruleStats = state.ruleStats || {};
+  }
+}
+
+module.exports = { Ensemble, FusionWeights, Calibrator, PredictorService, matchManualPattern, legacyReason, loadRules, NO_RULES };
@@ -0,0 +1,134 @@
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const { nowStr } = require('./utils');
+const log = require('./log');
+
+// Event Feed: recent events for one source, kept so reconnecting clients can resume.
+// Per round the order is resolved → round → prediction, so an event's position is (Phien, rank)
+// and its id is "Phien.rank". A client resuming from Phien P gets everything after round P,
+// starting with the prediction made from it.
+const RANKS = { resolved: 0, round: 1, prediction: 2 };
+
+function parseCursor(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const m = /^(\d+)(?:\.(\d))?$/.exec(String(value).trim());
+  if (!m) return null;
+  return { Phien: Number(m[1]), rank: m[2] !== undefined ? Number(m[2]) : RANKS.round };
+}
+
+function after(ev, cursor) {
+  return ev.Phien > cursor.Phien || (ev.Phien === cursor.Phien && ev.rank > cursor.rank);
+}
+
+class EventFeed {
+  constructor(source, max = 500) {
+    this.source = source;
+    this.max = max;
+    this.events = [];
+    this.dropped = 0;
+    this.listeners = new Set();
+  }
+  publish(type, Phien, data) {
+    const rank = RANKS[type];
+    const ev = { id: `${Phien}.${rank}`, type, source: this.source, Phien: Number(Phien), rank, at: nowStr(), data };
+    this.events.push(ev);
+    if (this.events.length > this.max) this.dropped += this.events.splice(0, this.events.length - this.max).length;
+    this.listeners.forEach(fn => {
+      try {
+        fn(ev);
+      } catch (e) {
+        log.error('Lỗi khi đẩy sự kiện', { source: this.source, type, error: e.message || String(e) });
+      }
+    });
+    return ev;
+  }
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+  // Buffered events after `cursor`; truncated when older events the client may have missed were dropped
+  since(cursor) {
+    const events = this.events.filter(ev => after(ev, cursor));
+    const truncated = this.dropped > 0 && events.length === this.events.length;
+    return { events, truncated };
+  }
+  latest(type) {
+    for (let i = this.events.length - 1; i >= 0; i--) if (this.events[i].type === type) return this.events[i];
+    return null;
+  }
+  get clients() {
+    return this.listeners.size;
+  }
+}
+
+// What a client is sent on connect: the replay when it resumes, else the current prediction
+function openingEvents(feed, cursor, snapshot) {
+  if (cursor) return feed.since(cursor);
+  return { events: snapshot ? [snapshot] : [], truncated: false };
+}
+
+function toWire(ev) {
+  return { id: ev.id, type: ev.type, source: ev.source, Phien: ev.Phien, at: ev.at, data: ev.data };
+}
+
+// Server-Sent Events: resume with ?since=<Phien> or the Last-Event-ID header the browser resends
+function streamSse(req, res, feed, { snapshot = () => null, heartbeatMs = 15000 } = {}) {
+  const cursor = parseCursor(req.get('Last-Event-ID')) || parseCursor(req.query.since);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  const send = ev => res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(toWire(ev))}\n\n`);
+  const opening = openingEvents(feed, cursor, snapshot());
+  res.write(`event: hello\ndata: ${JSON.stringify({ source: feed.source, resumed_from: cursor ? `${cursor.Phien}.${cursor.rank}` : null, replayed: opening.events.length, truncated: opening.truncated })}\n\n`);
+  opening.events.forEach(send);
+  const unsubscribe = feed.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// WebSocket: ws://host/api/taixiu/<source>/ws?since=<Phien>; `feedFor(name)` maps the source in the
+// path (null for the default one) to { feed, snapshot } or null when there is no such source.
+// `authorize(req, url)` may refuse the upgrade with { status, error, retryAfter }.
+function refuse(socket, status, extra = '') {
+  socket.write(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n${extra}Connection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+function attachWebSocket(server, feedFor, { path = /^\/api\/taixiu\/(?:([^/]+)\/)?ws$/, heartbeatMs = 30000, authorize = () => null } = {}) {
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const m = path.exec(url.pathname);
+    const target = m ? feedFor(m[1] ? decodeURIComponent(m[1]) : null) : null;
+    if (!target) return refuse(socket, 404);
+    const denied = authorize(req, url);
+    if (denied) return refuse(socket, denied.status, denied.retryAfter ? `Retry-After: ${denied.retryAfter}\r\n` : '');
+    wss.handleUpgrade(req, socket, head, ws => {
+      const { feed, snapshot } = target;
+      const cursor = parseCursor(url.searchParams.get('since'));
+      const send = ev => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(toWire(ev)));
+      };
+      const opening = openingEvents(feed, cursor, snapshot());
+      ws.send(JSON.stringify({ type: 'hello', source: feed.source, resumed_from: cursor ? `${cursor.Phien}.${cursor.rank}` : null, replayed: opening.events.length, truncated: opening.truncated }));
+      opening.events.forEach(send);
+      const unsubscribe = feed.subscribe(send);
+      let alive = true;
+      ws.on('pong', () => { alive = true; });
+      const heartbeat = setInterval(() => {
+        if (!alive) return ws.terminate();
+        alive = false;
+        ws.ping();
+      }, heartbeatMs);
+      ws.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    });
+  });
+  return wss;
+}
+
+module.exports = { EventFeed, parseCursor, streamSse, attachWebSocket };
@@ -0,0 +1,153 @@
+const { labelOf, computeRunLength, counts } = require('./utils');
+const { chiSquareTest, chiSquarePValue, twoSidedP } = require('./stats');
+const { faceCounts, faceTest, totalsTest, totalOf } = require('./dice');
+
+// Randomness Diagnostics: is the T/X sequence distinguishable from fair dice at all?
+const ALPHA = 0.05;
+const MIN_ROUNDS = 30;
+
+function verdictOf(pValue, differs, same) {
+  if (pValue === null || pValue === undefined || Number.isNaN(pValue)) return 'Chưa đủ dữ liệu để kiểm định';
+  return pValue < ALPHA ? `Khác biệt có ý nghĩa (p=${pValue.toFixed(4)}): ${differs}` : `Không khác biệt có ý nghĩa (p=${pValue.toFixed(4)}): ${same}`;
+}
+
+// Splits the sequence into runs, newest last, by peeling off the trailing run
+function splitRuns(seq) {
+  const runs = [];
+  let rest = seq;
+  while (rest.length) {
+    const r = computeRunLength(rest);
+    runs.unshift(r);
+    rest = rest.slice(0, rest.length - r.run);
+  }
+  return runs;
+}
+
+// Wald–Wolfowitz runs test
+function runsTest(seq, runs) {
+  const c = counts(seq);
+  const n = c.T + c.X;
+  const R = runs.length;
+  if (!c.T || !c.X || n < 2) return { runs: R, expected: null, z: null, pValue: null, verdict: verdictOf(null) };
+  const expected = 2 * c.T * c.X / n + 1;
+  const variance = 2 * c.T * c.X * (2 * c.T * c.X - n) / (n * n * (n - 1));
+  const z = (R - expected) / Math.sqrt(variance);
+  const pValue = twoSidedP(z);
+  return {
+    runs: R,
+    expected,
+    z,
+    pValue,
+    verdict: verdictOf(pValue, z < 0 ? 'ít lần đổi cầu hơn ngẫu nhiên (chuỗi bệt)' : 'đổi cầu nhiều hơn ngẫu nhiên (chuỗi đảo)', 'số lần đổi cầu đúng như tung xúc xắc')
+  };
+}
+
+// Run lengths vs the geometric law: a run of side v continues with probability p(v)
+function runLengthTest(seq, runs, maxLen = 6) {
+  const c = counts(seq);
+  const n = c.T + c.X;
+  const observed = new Array(maxLen).fill(0);
+  const expected = new Array(maxLen).fill(0);
+  runs.forEach(r => { observed[Math.min(r.run, maxLen) - 1]++; });
+  ['T', 'X'].forEach(v => {
+    const p = n ? c[v] / n : 0.5;
+    const nRuns = runs.filter(r => r.value === v).length;
+    for (let k = 1; k < maxLen; k++) expected[k - 1] += nRuns * (1 - p) * Math.pow(p, k - 1);
+    expected[maxLen - 1] += nRuns * Math.pow(p, maxLen - 1);
+  });
+  const test = runs.length ? chiSquareTest(observed, expected) : { chi2: null, df: maxLen - 1, pValue: null, valid: false };
+  const current = computeRunLength(seq);
+  const pCur = current.value && n ? c[current.value] / n : null;
+  return {
+    distribution: observed.map((o, i) => ({ length: i + 1 === maxLen ? `${maxLen}+` : String(i + 1), observed: o, expected: expected[i] })),
+    ...test,
+    current: { ...current, probabilityUnderIid: pCur === null ? null : Math.pow(pCur, current.run - 1) },
+    verdict: verdictOf(test.pValue, 'độ dài cầu lệch khỏi phân phối hình học', 'độ dài cầu khớp với phân phối hình học của xúc xắc công bằng')
+  };
+}
+
+// Lag-k autocorrelation of the 0/1 Tài indicator with Ljung–Box over all lags
+function autocorrelationTest(seq, maxLag = 5) {
+  const x = seq.map(s => s === 'T' ? 1 : 0);
+  const n = x.length;
+  const m = n ? x.reduce((a, b) => a + b, 0) / n : 0;
+  const denom = x.reduce((s, v) => s + (v - m) * (v - m), 0);
+  const lags = [];
+  let q = 0;
+  for (let k = 1; k <= maxLag && k < n; k++) {
+    let num = 0;
+    for (let i = k; i < n; i++) num += (x[i] - m) * (x[i - k] - m);
+    const r = denom ? num / denom : 0;
+    const z = (r + 1 / n) * Math.sqrt(n);
+    lags.push({ lag: k, r, z, pValue: denom ? twoSidedP(z) : null });
+    q += r * r / (n - k);
+  }
+  q *= n * (n + 2);
+  const pValue = denom && lags.length ? chiSquarePValue(q, lags.length) : null;
+  return {
+    lags,
+    ljungBox: { q, df: lags.length },
+    pValue,
+    verdict: verdictOf(pValue, 'kết quả phụ thuộc vào các ván trước', 'không có tương quan giữa các ván liên tiếp')
+  };
+}
+
+// Block entropy of k-grams, bits per symbol; 1.0 means no k-gram is more likely than another
+function entropyByWindow(seq, maxK = 6) {
+  const out = [];
+  let prevH = 0;
+  for (let k = 1; k <= maxK && k <= seq.length; k++) {
+    const freq = {};
+    let N = 0;
+    for (let i = 0; i + k <= seq.length; i++) {
+      const key = seq.slice(i, i + k).join('');
+      freq[key] = (freq[key] || 0) + 1;
+      N++;
+    }
+    const keys = Object.keys(freq);
+    const H = -keys.reduce((s, key) => s + (freq[key] / N) * Math.log2(freq[key] / N), 0);
+    // Miller–Madow bias correction for the plug-in estimate
+    const Hmm = H + (keys.length - 1) / (2 * N * Math.LN2);
+    out.push({ window: k, samples: N, distinct: keys.length, possible: Math.pow(2, k), perSymbol: H / k, perSymbolCorrected: Hmm / k, conditional: H - prevH });
+    prevH = H;
+  }
+  return out;
+}
+
+function analyzeRandomness(rounds) {
+  const seq = rounds.map(labelOf).filter(x => x);
+  const runs = splitRuns(seq);
+  const c = counts(seq);
+  const totals = rounds.map(totalOf).filter(t => t !== null);
+  const fc = faceCounts(rounds);
+  const balance = seq.length ? chiSquareTest([c.T, c.X], [seq.length / 2, seq.length / 2]) : null;
+  const tests = {
+    balance: balance && { ...balance, counts: c, verdict: verdictOf(balance.pValue, 'tỉ lệ Tài/Xỉu lệch khỏi 50/50', 'tỉ lệ Tài/Xỉu đúng 50/50') },
+    runs: runsTest(seq, runs),
+    runLengths: runLengthTest(seq, runs),
+    autocorrelation: autocorrelationTest(seq),
+    faces: fc.rounds ? { ...faceTest(fc.pooled), counts: fc.pooled } : null,
+    totals: totals.length ? totalsTest(totals) : null
+  };
+  if (tests.faces) tests.faces.verdict = verdictOf(tests.faces.pValue, 'có mặt xúc xắc ra nhiều bất thường', 'các mặt xúc xắc xuất hiện đều');
+  if (tests.totals) tests.totals.verdict = verdictOf(tests.totals.pValue, 'phân phối tổng điểm lệch khỏi 3 xúc xắc công bằng', 'phân phối tổng điểm khớp với 3 xúc xắc công bằng');
+  // Bonferroni: with six tests one of them dips under 0.05 by chance far more often than 5% of the time
+  const pValues = Object.keys(tests).filter(k => tests[k] && typeof tests[k].pValue === 'number').map(k => ({ test: k, pValue: tests[k].pValue }));
+  const threshold = ALPHA / (pValues.length || 1);
+  const flagged = pValues.filter(t => t.pValue < threshold).map(t => t.test);
+  let verdict;
+  if (seq.length < MIN_ROUNDS) verdict = `Chưa đủ dữ liệu (${seq.length}/${MIN_ROUNDS} ván) để kết luận`;
+  else if (flagged.length) verdict = `Có dấu hiệu không ngẫu nhiên ở: ${flagged.join(', ')} (ngưỡng Bonferroni p<${threshold.toFixed(4)})`;
+  else verdict = 'Chuỗi không phân biệt được với xúc xắc công bằng: các quy tắc bệt/đảo cầu không có cơ sở thống kê';
+  return {
+    rounds: seq.length,
+    alpha: ALPHA,
+    bonferroniThreshold: threshold,
+    tests,
+    entropy: entropyByWindow(seq),
+    flagged,
+    verdict
+  };
+}
+
+module.exports = { splitRuns, runsTest, runLengthTest, autocorrelationTest, entropyByWindow, analyzeRandomness };
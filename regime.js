@@ -0,0 +1,222 @@
+const { clamp } = require('./utils');
+const { chiSquarePValue } = require('./stats');
+
+// Regime Detection: a hidden Markov model over the T/X sequence whose hidden state is the regime.
+// Each regime is a first-order chain P(next = T | previous) with one parameter:
+//   flat        ½ after either side (the fair-dice null, not learned)
+//   streaky     repeats the previous side with probability r
+//   zigzag      switches side with probability z
+//   trending_T  Tài with probability q regardless of the previous side; trending_X likewise for Xỉu
+// fit() runs Baum–Welch with pseudo-counts pulling each parameter towards its starting value and
+// keeps every regime on its own side of ½, so the states keep their meaning.
+const REGIMES = ['flat', 'streaky', 'zigzag', 'trending_T', 'trending_X'];
+const INITIAL = { streaky: 0.75, zigzag: 0.75, trending_T: 0.7, trending_X: 0.7 };
+const MIN_STRENGTH = 0.55;
+const MAX_STRENGTH = 0.98;
+const ALPHA = 0.05;
+
+// P(next = T | prev, regime) for strength `s`
+function emitT(regime, s, prev) {
+  switch (regime) {
+    case 'streaky': return prev === 'T' ? s : 1 - s;
+    case 'zigzag': return prev === 'T' ? 1 - s : s;
+    case 'trending_T': return s;
+    case 'trending_X': return 1 - s;
+    default: return 0.5;
+  }
+}
+
+// Whether the round "agrees" with the regime, the event its strength is the probability of
+function agrees(regime, prev, x) {
+  switch (regime) {
+    case 'streaky': return x === prev;
+    case 'zigzag': return x !== prev;
+    case 'trending_T': return x === 'T';
+    case 'trending_X': return x === 'X';
+    default: return false;
+  }
+}
+
+class RegimeDetector {
+  constructor(opts = {}) {
+    this.window = opts.window || 500;
+    this.stay = opts.stay || 0.97; // initial probability of staying in a regime from one round to the next
+    this.priorStrength = opts.priorStrength || 30;
+    this.iterations = opts.iterations || 15;
+    this.minConfidence = opts.minConfidence || 0.5;
+    this.strength = { ...INITIAL };
+    this.trans = REGIMES.map((_, i) => REGIMES.map((__, j) => i === j ? this.stay : (1 - this.stay) / (REGIMES.length - 1)));
+    this.fittedOn = 0;
+  }
+  emission(k, prev, x) {
+    if (prev === null) return 0.5;
+    const pT = emitT(REGIMES[k], this.strength[REGIMES[k]], prev);
+    return x === 'T' ? pT : 1 - pT;
+  }
+  // Scaled forward pass; alpha[t] is P(regime at t | rounds ≤ t)
+  forward(seq) {
+    const S = REGIMES.length;
+    const alpha = [];
+    const scale = [];
+    let prevA = null;
+    for (let t = 0; t < seq.length; t++) {
+      const prev = t ? seq[t - 1] : null;
+      const a = new Array(S);
+      let sum = 0;
+      for (let j = 0; j < S; j++) {
+        let p = 0;
+        if (!prevA) p = 1 / S;
+        else for (let i = 0; i < S; i++) p += prevA[i] * this.trans[i][j];
+        a[j] = p * this.emission(j, prev, seq[t]);
+        sum += a[j];
+      }
+      for (let j = 0; j < S; j++) a[j] /= sum;
+      alpha.push(a);
+      scale.push(sum);
+      prevA = a;
+    }
+    return { alpha, scale };
+  }
+  backward(seq, scale) {
+    const S = REGIMES.length;
+    const beta = new Array(seq.length);
+    beta[seq.length - 1] = new Array(S).fill(1);
+    for (let t = seq.length - 2; t >= 0; t--) {
+      const b = new Array(S).fill(0);
+      for (let i = 0; i < S; i++) {
+        for (let j = 0; j < S; j++) b[i] += this.trans[i][j] * this.emission(j, seq[t], seq[t + 1]) * beta[t + 1][j];
+        b[i] /= scale[t + 1];
+      }
+      beta[t] = b;
+    }
+    return beta;
+  }
+  // Baum–Welch on the last `window` rounds, starting from the current parameters
+  fit(fullSeq, iterations = this.iterations) {
+    const seq = fullSeq.slice(-this.window);
+    this.fittedOn = fullSeq.length;
+    if (seq.length < 20) return this;
+    const S = REGIMES.length;
+    for (let it = 0; it < iterations; it++) {
+      const { alpha, scale } = this.forward(seq);
+      const beta = this.backward(seq, scale);
+      const transCount = REGIMES.map(() => new Array(S).fill(0));
+      const agree = {}, total = {};
+      REGIMES.forEach(r => { agree[r] = 0; total[r] = 0; });
+      for (let t = 1; t < seq.length; t++) {
+        let norm = 0;
+        const gamma = new Array(S);
+        for (let j = 0; j < S; j++) { gamma[j] = alpha[t][j] * beta[t][j]; norm += gamma[j]; }
+        for (let j = 0; j < S; j++) {
+          const g = gamma[j] / norm;
+          const r = REGIMES[j];
+          total[r] += g;
+          if (agrees(r, seq[t - 1], seq[t])) agree[r] += g;
+        }
+        for (let i = 0; i < S; i++) {
+          for (let j = 0; j < S; j++) {
+            transCount[i][j] += alpha[t - 1][i] * this.trans[i][j] * this.emission(j, seq[t - 1], seq[t]) * beta[t][j] / scale[t];
+          }
+        }
+      }
+      // Sticky pseudo-counts keep regimes from flickering round to round
+      this.trans = transCount.map((row, i) => {
+        const prior = row.map((_, j) => (i === j ? this.stay : (1 - this.stay) / (S - 1)) * this.priorStrength);
+        const sum = row.reduce((a, c, j) => a + c + prior[j], 0);
+        return row.map((c, j) => (c + prior[j]) / sum);
+      });
+      Object.keys(INITIAL).forEach(r => {
+        const s = (agree[r] + this.priorStrength * INITIAL[r]) / (total[r] + this.priorStrength);
+        this.strength[r] = clamp(s, MIN_STRENGTH, MAX_STRENGTH);
+      });
+    }
+    return this;
+  }
+  // Most likely regime path (Viterbi), used for the time of the last change
+  viterbi(seq) {
+    const S = REGIMES.length;
+    const logTrans = this.trans.map(row => row.map(Math.log));
+    let delta = REGIMES.map((_, j) => Math.log(1 / S) + Math.log(this.emission(j, null, seq[0])));
+    const back = [];
+    for (let t = 1; t < seq.length; t++) {
+      const next = new Array(S);
+      const ptr = new Array(S);
+      for (let j = 0; j < S; j++) {
+        let best = -Infinity, arg = 0;
+        for (let i = 0; i < S; i++) {
+          const v = delta[i] + logTrans[i][j];
+          if (v > best) { best = v; arg = i; }
+        }
+        next[j] = best + Math.log(this.emission(j, seq[t - 1], seq[t]));
+        ptr[j] = arg;
+      }
+      back.push(ptr);
+      delta = next;
+    }
+    const path = new Array(seq.length);
+    path[seq.length - 1] = delta.indexOf(Math.max(...delta));
+    for (let t = seq.length - 1; t > 0; t--) path[t - 1] = back[t - 1][path[t]];
+    return path;
+  }
+  // Likelihood ratio of a first-order chain fitted to `seq` against fair i.i.d. rounds (df = 2)
+  iidTest(seq) {
+    const n = { TT: 0, TX: 0, XT: 0, XX: 0 };
+    for (let t = 1; t < seq.length; t++) n[seq[t - 1] + seq[t]]++;
+    const m = seq.length - 1;
+    if (m < 10) return { rounds: seq.length, lr: null, df: 2, pValue: null, different: null };
+    let l1 = 0;
+    ['T', 'X'].forEach(y => {
+      const ny = n[y + 'T'] + n[y + 'X'];
+      ['T', 'X'].forEach(x => { if (n[y + x]) l1 += n[y + x] * Math.log(n[y + x] / ny); });
+    });
+    const lr = 2 * (l1 - m * Math.log(0.5));
+    const pValue = chiSquarePValue(lr, 2);
+    return { rounds: seq.length, lr, df: 2, pValue, different: pValue < ALPHA };
+  }
+  // Regime posterior for the latest round, the last change point and the predictive P(next = T).
+  // `phiens` (same length as seq) lets the change point be reported as a Phien.
+  analyze(fullSeq, phiens = null) {
+    const seq = fullSeq.slice(-this.window);
+    const offset = fullSeq.length - seq.length;
+    if (!seq.length) {
+      const posterior = {};
+      REGIMES.forEach(r => { posterior[r] = 1 / REGIMES.length; });
+      return { type: 'mixed', confidence: 0, posterior, strengths: { ...this.strength }, last_change: null, current_rounds: 0, iid_test: this.iidTest([]), pNextT: 0.5 };
+    }
+    const { alpha } = this.forward(seq);
+    const filtered = alpha[alpha.length - 1];
+    const posterior = {};
+    REGIMES.forEach((r, j) => { posterior[r] = filtered[j]; });
+    const best = filtered.indexOf(Math.max(...filtered));
+    const confidence = filtered[best];
+    const path = this.viterbi(seq);
+    let start = path.length - 1;
+    while (start > 0 && path[start - 1] === path[path.length - 1]) start--;
+    const lastChange = start > 0 ? {
+      index: offset + start,
+      Phien: phiens ? phiens[offset + start] : null,
+      rounds_ago: seq.length - start,
+      from: REGIMES[path[start - 1]],
+      to: REGIMES[path[start]]
+    } : null;
+    // Next round: regime one step ahead, then that regime's chance of Tài after the last round
+    let pNextT = 0;
+    REGIMES.forEach((r, j) => {
+      let pj = 0;
+      for (let i = 0; i < REGIMES.length; i++) pj += filtered[i] * this.trans[i][j];
+      pNextT += pj * emitT(r, this.strength[r], seq[seq.length - 1]);
+    });
+    return {
+      type: confidence >= this.minConfidence ? REGIMES[best] : 'mixed',
+      confidence,
+      posterior,
+      strengths: { ...this.strength },
+      last_change: lastChange,
+      current_rounds: seq.length - start,
+      iid_test: this.iidTest(seq.slice(start)),
+      pNextT
+    };
+  }
+}
+
+module.exports = { REGIMES, RegimeDetector };
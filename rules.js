@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const log = require('./log');
+
+// Rules File: manual patterns and the du_doan_js cầu mẫu table, validated on load and hot-reloaded.
+//
+// manual[]: { id, sequence | totals, pred, note, weight = 0.9, enabled = true }
+//   sequence  T/X string matched against the tail of the results ("TXXT")
+//   totals    array of totals 3–18 matched against the tail of Tong ([10, 10, 11])
+//   pred      'T' | 'X' | 'Tài' | 'Xỉu'
+//   weight    probability given to `pred` when the rule matches, 0.5 < weight ≤ 1
+// cau_mau: { name: [T/X strings] } — a match on any string predicts a break of the last result
+// du_doan: { rule_id: { enabled, priority } } — optional overrides for the du_doan_js rule engine
+const SEQ_RE = /^[TX]+$/;
+
+function normalizePred(p) {
+  if (p === 'T' || p === 'Tài' || p === 'Tai') return 'T';
+  if (p === 'X' || p === 'Xỉu' || p === 'Xiu') return 'X';
+  return null;
+}
+
+function validateRules(doc, { duDoanRuleIds = null } = {}) {
+  const errors = [];
+  const manual = [];
+  const cau_mau = {};
+  const du_doan = {};
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return { errors: ['gốc của file phải là object { manual, cau_mau, du_doan }'], manual, cau_mau, du_doan };
+  }
+  const ids = new Set();
+  (doc.manual || []).forEach((r, i) => {
+    const where = `manual[${i}]`;
+    if (!r || typeof r !== 'object') return errors.push(`${where}: phải là object`);
+    const id = r.id === undefined ? `manual_${i + 1}` : r.id;
+    if (typeof id !== 'string' || !id) errors.push(`${where}.id: phải là chuỗi`);
+    else if (ids.has(id)) errors.push(`${where}.id: trùng '${id}'`);
+    ids.add(id);
+    const hasSeq = r.sequence !== undefined, hasTotals = r.totals !== undefined;
+    if (hasSeq === hasTotals) errors.push(`${where}: cần đúng một trong 'sequence' hoặc 'totals'`);
+    if (hasSeq && (typeof r.sequence !== 'string' || !SEQ_RE.test(r.sequence) || r.sequence.length > 20)) {
+      errors.push(`${where}.sequence: chuỗi T/X dài 1–20`);
+    }
+    if (hasTotals && (!Array.isArray(r.totals) || !r.totals.length || r.totals.length > 10 ||
+      !r.totals.every(t => Number.isInteger(t) && t >= 3 && t <= 18))) {
+      errors.push(`${where}.totals: mảng 1–10 số nguyên trong khoảng 3–18`);
+    }
+    const pred = normalizePred(r.pred);
+    if (!pred) errors.push(`${where}.pred: phải là T/X hoặc Tài/Xỉu`);
+    if (typeof r.note !== 'string' || !r.note) errors.push(`${where}.note: bắt buộc`);
+    const weight = r.weight === undefined ? 0.9 : r.weight;
+    if (typeof weight !== 'number' || !(weight > 0.5 && weight <= 1)) errors.push(`${where}.weight: số trong (0.5, 1]`);
+    if (r.enabled !== undefined && typeof r.enabled !== 'boolean') errors.push(`${where}.enabled: phải là true/false`);
+    manual.push({ id, sequence: r.sequence, totals: r.totals, pred, note: r.note, weight, enabled: r.enabled !== false });
+  });
+  if (doc.manual !== undefined && !Array.isArray(doc.manual)) errors.push('manual: phải là mảng');
+  const cm = doc.cau_mau || {};
+  if (typeof cm !== 'object' || Array.isArray(cm)) errors.push('cau_mau: phải là object { tên: [chuỗi T/X] }');
+  else {
+    Object.keys(cm).forEach(name => {
+      const arr = cm[name];
+      if (!Array.isArray(arr) || !arr.length || !arr.every(a => typeof a === 'string' && SEQ_RE.test(a))) {
+        errors.push(`cau_mau.${name}: mảng chuỗi T/X`);
+      } else cau_mau[name] = arr.slice();
+    });
+  }
+  const dd = doc.du_doan || {};
+  if (typeof dd !== 'object' || Array.isArray(dd)) errors.push('du_doan: phải là object { id_quy_tắc: { enabled, priority } }');
+  else {
+    Object.keys(dd).forEach(id => {
+      const o = dd[id];
+      if (duDoanRuleIds && !duDoanRuleIds.includes(id)) return errors.push(`du_doan.${id}: không có quy tắc này`);
+      if (!o || typeof o !== 'object' || Array.isArray(o)) return errors.push(`du_doan.${id}: phải là object`);
+      if (o.enabled !== undefined && typeof o.enabled !== 'boolean') errors.push(`du_doan.${id}.enabled: phải là true/false`);
+      if (o.priority !== undefined && !Number.isFinite(o.priority)) errors.push(`du_doan.${id}.priority: phải là số`);
+      du_doan[id] = { enabled: o.enabled, priority: o.priority };
+    });
+  }
+  return { errors, manual, cau_mau, du_doan };
+}
+
+function parseRulesFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+}
+
+// Holds the current rules; a failed reload keeps the previous ones and records the error
+class RuleStore {
+  constructor(file, { duDoanRuleIds = null } = {}) {
+    this.file = file;
+    this.duDoanRuleIds = duDoanRuleIds;
+    this.manual = [];
+    this.cau_mau = {};
+    this.du_doan = {};
+    this.version = 0;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watching = false;
+  }
+  load() {
+    if (!fs.existsSync(this.file)) {
+      this.lastError = `Không tìm thấy file luật: ${this.file}`;
+      return false;
+    }
+    let doc;
+    try {
+      doc = parseRulesFile(this.file);
+    } catch (e) {
+      throw new Error(`File luật ${this.file} lỗi cú pháp: ${e.message}`);
+    }
+    const { errors, manual, cau_mau, du_doan } = validateRules(doc, { duDoanRuleIds: this.duDoanRuleIds });
+    if (errors.length) throw new Error(`File luật ${this.file} không hợp lệ:\n  - ${errors.join('\n  - ')}`);
+    this.manual = manual;
+    this.cau_mau = cau_mau;
+    this.du_doan = du_doan;
+    this.version++;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+    return true;
+  }
+  reload() {
+    try {
+      return this.load();
+    } catch (e) {
+      this.lastError = e.message;
+      log.error('Lỗi file luật', { file: this.file, error: e.message });
+      return false;
+    }
+  }
+  watch(intervalMs = 2000) {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.file, { interval: intervalMs }, (cur, prev) => {
+      if (cur.mtimeMs !== prev.mtimeMs && this.reload()) {
+        log.info(`Đã tải lại file luật ${path.basename(this.file)}`, { file: this.file, version: this.version });
+      }
+    });
+  }
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.file);
+    this.watching = false;
+  }
+}
+
+module.exports = { RuleStore, validateRules, normalizePred };
@@ -0,0 +1,50 @@
+// Offline simulation: node simulate.js [--generator fair|biased|streaky|zigzag|replay] [--rounds N] [--seed N]
+//   [--faces 1,1,1,1,1,2] [--p 0.8] [--file history.json] [--config sim.json] [--warmup N]
+// Runs the predictor over simulated rounds and reports the backtest plus how the regime detector
+// labels each true regime. --config takes a DiceSimulator config (e.g. a `schedule` of regimes).
+const fs = require('fs');
+const { runBacktest } = require('./backtest');
+const { loadRules } = require('./predictor');
+const { DiceSimulator } = require('./simulator');
+
+function parseArgs(argv) {
+  const opts = { rounds: 2000, warmup: 0, sim: { generator: 'fair', seed: 1 } };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--rounds') opts.rounds = parseInt(argv[++i], 10) || opts.rounds;
+    else if (a === '--warmup') opts.warmup = parseInt(argv[++i], 10) || 0;
+    else if (a === '--generator') opts.sim.generator = argv[++i];
+    else if (a === '--seed') opts.sim.seed = parseInt(argv[++i], 10) || 1;
+    else if (a === '--faces') opts.sim.faces = argv[++i].split(',').map(Number);
+    else if (a === '--p') opts.sim.p_repeat = opts.sim.p_switch = Number(argv[++i]);
+    else if (a === '--file') opts.sim.file = argv[++i];
+    else if (a === '--config') opts.sim = { seed: opts.sim.seed, ...JSON.parse(fs.readFileSync(argv[++i], 'utf8')) };
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const rounds = new DiceSimulator(opts.sim).take(opts.rounds);
+  const byRegime = {};
+  const report = runBacktest(rounds, {
+    rules: loadRules(),
+    warmup: opts.warmup,
+    seed: opts.sim.seed,
+    onPredict: (round, out) => {
+      const g = byRegime[round.Che_do] || (byRegime[round.Che_do] = { n: 0, hits: 0, roadTypes: {} });
+      g.n++;
+      if ((out.distribution.T >= out.distribution.X ? 'Tài' : 'Xỉu') === round.Ket_qua) g.hits++;
+      g.roadTypes[out.roadType] = (g.roadTypes[out.roadType] || 0) + 1;
+    }
+  });
+  Object.values(byRegime).forEach(g => { g.accuracy = g.n ? g.hits / g.n : null; });
+  console.log(JSON.stringify({ simulator: opts.sim, ...report, byRegime }, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error('Lỗi khi mô phỏng: ' + (e.message || e));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { seededRandom } = require('./utils');
+const { mapRounds } = require('./sources');
+const { diceTotal } = require('./validation');
+
+// Dice Simulator: a local fake feed producing rounds in the upstream shape
+// ({ Phien, Xuc_xac_1..3, Tong, Ket_qua }) with the generating regime attached as `Che_do`.
+//
+// generator  'fair'    independent fair dice
+//            'biased'  independent dice with face weights `faces` ([w1..w6])
+//            'streaky' the next side repeats the last one with probability `p_repeat` (0.8)
+//            'zigzag'  the next side flips with probability `p_switch` (0.85)
+//            'replay'  rounds from `file` in Phien order, renumbered, looping when `loop` is set
+// schedule   [{ generator, rounds, ...params }] — regimes played in turn, then repeated
+const GENERATORS = ['fair', 'biased', 'streaky', 'zigzag', 'replay'];
+
+function validateSimulator(cfg) {
+  const errors = [];
+  if (!cfg || typeof cfg !== 'object') return ['phải là object'];
+  const phases = cfg.schedule || [cfg];
+  if (!Array.isArray(phases) || !phases.length) return ['schedule: mảng giai đoạn không rỗng'];
+  phases.forEach((p, i) => {
+    const where = cfg.schedule ? `schedule[${i}].` : '';
+    const g = p.generator || 'fair';
+    if (!GENERATORS.includes(g)) errors.push(`${where}generator: một trong ${GENERATORS.join(', ')}`);
+    if (cfg.schedule && !(Number.isInteger(p.rounds) && p.rounds > 0)) errors.push(`${where}rounds: số nguyên dương`);
+    if (p.faces !== undefined && !(Array.isArray(p.faces) && p.faces.length === 6 && p.faces.every(w => typeof w === 'number' && w >= 0) && p.faces.some(w => w > 0))) {
+      errors.push(`${where}faces: 6 trọng số không âm`);
+    }
+    if (g === 'biased' && !p.faces) errors.push(`${where}faces: bắt buộc với 'biased'`);
+    ['p_repeat', 'p_switch'].forEach(k => {
+      if (p[k] !== undefined && !(typeof p[k] === 'number' && p[k] >= 0 && p[k] <= 1)) errors.push(`${where}${k}: xác suất 0–1`);
+    });
+    if (g === 'replay' && typeof p.file !== 'string') errors.push(`${where}file: bắt buộc với 'replay'`);
+  });
+  if (cfg.seed !== undefined && !Number.isInteger(cfg.seed)) errors.push('seed: số nguyên');
+  return errors;
+}
+
+class DiceSimulator {
+  constructor(cfg = {}) {
+    const errors = validateSimulator(cfg);
+    if (errors.length) throw new Error(`Cấu hình simulator không hợp lệ: ${errors.join('; ')}`);
+    this.phases = (cfg.schedule || [{ ...cfg, rounds: Infinity }]).map(p => ({ generator: 'fair', ...p }));
+    this.rand = seededRandom(cfg.seed || 1);
+    this.phien = cfg.start_phien || 1;
+    this.phaseIdx = 0;
+    this.phaseLeft = this.phases[0].rounds;
+    this.lastSide = null;
+    this.replays = {};
+  }
+  get phase() {
+    return this.phases[this.phaseIdx];
+  }
+  rollDie(faces) {
+    if (!faces) return 1 + Math.floor(this.rand() * 6);
+    const total = faces.reduce((a, b) => a + b, 0);
+    let r = this.rand() * total;
+    for (let f = 0; f < 6; f++) {
+      r -= faces[f];
+      if (r < 0) return f + 1;
+    }
+    return 6;
+  }
+  // Rejection-samples dice until they land on `side`, keeping the per-face weights; faces that can't
+  // reach that side give up after a while and keep the last roll
+  rollFor(side, faces) {
+    let dice;
+    for (let i = 0; i < 1000; i++) {
+      dice = [this.rollDie(faces), this.rollDie(faces), this.rollDie(faces)];
+      const tong = dice[0] + dice[1] + dice[2];
+      if (!side || (tong >= 11 ? 'T' : 'X') === side) break;
+    }
+    return dice;
+  }
+  replayRound(p) {
+    if (!this.replays[p.file]) {
+      // Only rounds whose three dice are integers 1–6 (numeric strings included) are replayed
+      const rounds = mapRounds(JSON.parse(fs.readFileSync(p.file, 'utf8'))).filter(r => diceTotal(r) !== null);
+      rounds.sort((a, b) => Number(a.Phien) - Number(b.Phien));
+      if (!rounds.length) throw new Error(`File replay ${p.file} không có phiên nào có xúc xắc hợp lệ`);
+      this.replays[p.file] = { rounds, pos: 0 };
+    }
+    const rp = this.replays[p.file];
+    if (rp.pos >= rp.rounds.length) {
+      if (!p.loop) return null;
+      rp.pos = 0;
+    }
+    const r = rp.rounds[rp.pos++];
+    return [r.Xuc_xac_1, r.Xuc_xac_2, r.Xuc_xac_3].map(Number);
+  }
+  next() {
+    if (this.phaseLeft <= 0) {
+      this.phaseIdx = (this.phaseIdx + 1) % this.phases.length;
+      this.phaseLeft = this.phase.rounds;
+    }
+    const p = this.phase;
+    let dice;
+    if (p.generator === 'replay') {
+      dice = this.replayRound(p);
+      if (!dice) return null;
+    } else {
+      let side = null;
+      if (p.generator === 'streaky' && this.lastSide) {
+        side = this.rand() < (p.p_repeat !== undefined ? p.p_repeat : 0.8) ? this.lastSide : (this.lastSide === 'T' ? 'X' : 'T');
+      } else if (p.generator === 'zigzag' && this.lastSide) {
+        side = this.rand() < (p.p_switch !== undefined ? p.p_switch : 0.85) ? (this.lastSide === 'T' ? 'X' : 'T') : this.lastSide;
+      }
+      dice = this.rollFor(side, p.faces);
+    }
+    this.phaseLeft--;
+    const tong = dice[0] + dice[1] + dice[2];
+    this.lastSide = tong >= 11 ? 'T' : 'X';
+    return {
+      Phien: this.phien++,
+      Xuc_xac_1: dice[0],
+      Xuc_xac_2: dice[1],
+      Xuc_xac_3: dice[2],
+      Tong: tong,
+      Ket_qua: tong >= 11 ? 'Tài' : 'Xỉu',
+      Che_do: p.generator
+    };
+  }
+  // Up to n rounds; fewer when a non-looping replay runs out
+  take(n) {
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const r = this.next();
+      if (!r) break;
+      out.push(r);
+    }
+    return out;
+  }
+}
+
+module.exports = { DiceSimulator, validateSimulator, GENERATORS };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// Field-Mapping Profiles: how one upstream's JSON maps onto { Phien, Xuc_xac_1..3, Tong, Ket_qua }
+//
+// list    paths tried, in order, for the array of rounds; a response with none of them is one round
+// fields  for each round field, the upstream names tried in order (dotted paths reach into objects)
+// values  per-field value translation, e.g. result 'T' → 'Tài'
+// extends name of a profile whose list/fields/values this one starts from
+const ROUND_FIELDS = ['Phien', 'Xuc_xac_1', 'Xuc_xac_2', 'Xuc_xac_3', 'Tong', 'Ket_qua'];
+
+const PROFILES = {
+  // Every spelling seen so far; used for history files and the original Sunwin feed
+  legacy: {
+    list: ['data', 'result'],
+    fields: {
+      Phien: ['Phien', 'id', 'Phien_hien_tai'],
+      Xuc_xac_1: ['Xuc_xac_1', 'x1', 'd1'],
+      Xuc_xac_2: ['Xuc_xac_2', 'x2', 'd2'],
+      Xuc_xac_3: ['Xuc_xac_3', 'x3', 'd3'],
+      Tong: ['Tong', 'total'],
+      Ket_qua: ['Ket_qua', 'result']
+    },
+    values: { Ket_qua: { T: 'Tài', X: 'Xỉu' } }
+  },
+  sunwin: {
+    list: ['data'],
+    fields: {
+      Phien: ['Phien', 'Phien_hien_tai'],
+      Xuc_xac_1: ['Xuc_xac_1'],
+      Xuc_xac_2: ['Xuc_xac_2'],
+      Xuc_xac_3: ['Xuc_xac_3'],
+      Tong: ['Tong'],
+      Ket_qua: ['Ket_qua']
+    },
+    values: {}
+  },
+  // { id, d1, d2, d3, total, result: 'T' | 'X' }
+  compact: {
+    list: ['data', 'list'],
+    fields: {
+      Phien: ['id', 'session'],
+      Xuc_xac_1: ['d1', 'x1'],
+      Xuc_xac_2: ['d2', 'x2'],
+      Xuc_xac_3: ['d3', 'x3'],
+      Tong: ['total'],
+      Ket_qua: ['result']
+    },
+    values: { Ket_qua: { T: 'Tài', X: 'Xỉu', TAI: 'Tài', XIU: 'Xỉu' } }
+  }
+};
+
+function pick(obj, pathStr) {
+  return pathStr.split('.').reduce((o, k) => (o !== null && o !== undefined ? o[k] : undefined), obj);
+}
+
+function firstOf(obj, names) {
+  for (const n of names) {
+    const v = pick(obj, n);
+    if (v !== undefined && v !== null && v !== '') return v;
+  }
+  return null;
+}
+
+// Merges `extends` chains into a plain { list, fields, values }; throws on unknown or circular names
+function resolveProfile(profile, seen = []) {
+  if (typeof profile === 'string') {
+    if (!PROFILES[profile]) throw new Error(`không có profile '${profile}'`);
+    if (seen.includes(profile)) throw new Error(`profile lặp vòng: ${[...seen, profile].join(' → ')}`);
+    return resolveProfile(PROFILES[profile], [...seen, profile]);
+  }
+  const base = profile.extends ? resolveProfile(profile.extends, seen) : { list: [], fields: {}, values: {} };
+  return {
+    list: profile.list || base.list,
+    fields: { ...base.fields, ...(profile.fields || {}) },
+    values: { ...base.values, ...(profile.values || {}) }
+  };
+}
+
+function mapRounds(data, profile = 'legacy') {
+  const p = typeof profile === 'string' ? resolveProfile(profile) : profile;
+  let arr = [];
+  if (Array.isArray(data)) arr = data;
+  else if (data) {
+    const listPath = p.list.find(l => Array.isArray(pick(data, l)));
+    arr = listPath ? pick(data, listPath) : [data];
+  }
+  return arr.map(r => {
+    const out = {};
+    ROUND_FIELDS.forEach(f => {
+      let v = firstOf(r, p.fields[f] || []);
+      const map = p.values[f];
+      if (v !== null && map && Object.prototype.hasOwnProperty.call(map, String(v).toUpperCase())) v = map[String(v).toUpperCase()];
+      out[f] = v;
+    });
+    return { ...out, raw: r };
+  });
+}
+
+// Sources config: [{ name, url | simulator, profile, key_prefix, interval, backtest_file, enabled }]
+// profile is a PROFILES name or an inline profile (optionally with `extends`); simulator is a
+// DiceSimulator config (see simulator.js), polled like an upstream that returns the new rounds
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function validateSources(list, { reserved = [] } = {}) {
+  const errors = [];
+  const out = [];
+  if (!Array.isArray(list) || !list.length) return { errors: ['cần một mảng nguồn không rỗng'], sources: out };
+  const names = new Set();
+  list.forEach((s, i) => {
+    const where = `sources[${i}]`;
+    if (!s || typeof s !== 'object') return errors.push(`${where}: phải là object`);
+    if (typeof s.name !== 'string' || !NAME_RE.test(s.name)) errors.push(`${where}.name: chữ, số, '_' hoặc '-'`);
+    else if (reserved.includes(s.name)) errors.push(`${where}.name: '${s.name}' trùng tên route`);
+    else if (names.has(s.name)) errors.push(`${where}.name: trùng '${s.name}'`);
+    names.add(s.name);
+    if (s.url !== undefined && s.url !== null && typeof s.url !== 'string') errors.push(`${where}.url: phải là chuỗi`);
+    if (s.simulator !== undefined && (!s.simulator || typeof s.simulator !== 'object' || Array.isArray(s.simulator))) {
+      errors.push(`${where}.simulator: phải là object`);
+    } else if (s.simulator && s.url) errors.push(`${where}: chỉ dùng một trong 'url' hoặc 'simulator'`);
+    if (s.interval !== undefined && !(Number.isFinite(s.interval) && s.interval >= 0)) errors.push(`${where}.interval: số giây ≥ 0`);
+    if (s.enabled !== undefined && typeof s.enabled !== 'boolean') errors.push(`${where}.enabled: phải là true/false`);
+    let profile = null;
+    try {
+      profile = resolveProfile(s.profile || 'legacy');
+      if (!profile.fields.Phien || !profile.fields.Phien.length) throw new Error("thiếu fields.Phien");
+    } catch (e) {
+      errors.push(`${where}.profile: ${e.message}`);
+    }
+    if (s.enabled === false) return;
+    out.push({
+      name: s.name,
+      url: s.url || null,
+      simulator: s.simulator || null,
+      profileName: typeof s.profile === 'string' ? s.profile : (s.profile ? 'inline' : 'legacy'),
+      profile,
+      keyPrefix: s.key_prefix || `taixiu_${s.name}`,
+      interval: s.interval,
+      backtestFile: s.backtest_file || null
+    });
+  });
+  if (!errors.length && !out.length) errors.push('tất cả nguồn đều bị tắt');
+  return { errors, sources: out };
+}
+
+function loadSourcesFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const doc = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  return Array.isArray(doc) ? doc : (doc && doc.sources);
+}
+
+module.exports = { PROFILES, ROUND_FIELDS, resolveProfile, mapRounds, validateSources, loadSourcesFile };
@@ -0,0 +1,171 @@
+const { clamp, seededRandom } = require('./utils');
+
+// Staking Simulator: replays resolved ledger records (oldest first) as bets on the predicted side.
+//
+// strategy    'flat'        `stake` every round
+//             'threshold'   `stake` only when Do_tin_cay ≥ `threshold` (percent)
+//             'kelly'       `kelly_fraction` × the Kelly stake for the calibrated probability
+//             'martingale'  `stake` doubled after each loss (at most `max_doublings` times), reset on a win
+// payout      profit per unit staked on a win before commission (1 = even money)
+// commission  share of the winnings the house keeps, so a win pays stake × payout × (1 − commission)
+// A bankroll that can no longer cover the minimum stake is ruined and the replay stops there.
+const STRATEGIES = ['flat', 'threshold', 'kelly', 'martingale'];
+
+function netOdds(opts) {
+  return opts.payout * (1 - opts.commission);
+}
+
+function stakeFor(rec, bankroll, state, opts) {
+  const b = netOdds(opts);
+  switch (opts.strategy) {
+    case 'threshold':
+      return rec.Do_tin_cay >= opts.threshold ? opts.stake : 0;
+    case 'kelly': {
+      const p = rec.distribution ? rec.distribution[rec.pred] : rec.Do_tin_cay / 100;
+      const f = (b * p - (1 - p)) / b;
+      return f > 0 ? bankroll * opts.kelly_fraction * f : 0;
+    }
+    case 'martingale':
+      return opts.stake * Math.pow(2, Math.min(state.losses, opts.max_doublings));
+    default:
+      return opts.stake;
+  }
+}
+
+// One pass over `records`; `curve` collects { Phien, bankroll } after every bet when given
+function replay(records, opts, curve) {
+  const b = netOdds(opts);
+  const minStake = opts.strategy === 'kelly' ? opts.bankroll * 0.001 : opts.stake;
+  const state = { losses: 0 };
+  let bankroll = opts.bankroll;
+  let peak = bankroll;
+  const out = { bets: 0, skipped: 0, wins: 0, staked: 0, maxDrawdown: 0, maxDrawdownPct: 0, drawdownFrom: null, drawdownTo: null, ruinedAt: null };
+  let peakPhien = records.length ? records[0].Phien_sau : null;
+  for (const rec of records) {
+    if (bankroll < minStake) {
+      out.ruinedAt = rec.Phien_sau;
+      break;
+    }
+    const stake = Math.min(stakeFor(rec, bankroll, state, opts), bankroll);
+    if (!(stake > 0)) {
+      out.skipped++;
+      continue;
+    }
+    out.bets++;
+    out.staked += stake;
+    if (rec.hit) {
+      bankroll += stake * b;
+      out.wins++;
+      state.losses = 0;
+    } else {
+      bankroll -= stake;
+      state.losses++;
+    }
+    if (bankroll > peak) {
+      peak = bankroll;
+      peakPhien = rec.Phien_sau;
+    } else if (peak - bankroll > out.maxDrawdown) {
+      out.maxDrawdown = peak - bankroll;
+      out.maxDrawdownPct = (peak - bankroll) / peak;
+      out.drawdownFrom = peakPhien;
+      out.drawdownTo = rec.Phien_sau;
+    }
+    if (curve) curve.push({ Phien: rec.Phien_sau, bankroll });
+  }
+  if (out.ruinedAt === null && bankroll < minStake && records.length) out.ruinedAt = records[records.length - 1].Phien_sau;
+  out.bankroll = bankroll;
+  return out;
+}
+
+// Bootstrap: `paths` replays of records resampled with replacement; share that end in ruin
+function riskOfRuin(records, opts) {
+  if (!records.length || !opts.paths) return null;
+  const rand = seededRandom(opts.seed);
+  let ruined = 0;
+  const sample = new Array(records.length);
+  for (let p = 0; p < opts.paths; p++) {
+    for (let i = 0; i < records.length; i++) sample[i] = records[Math.floor(rand() * records.length)];
+    if (replay(sample, opts).ruinedAt !== null) ruined++;
+  }
+  return ruined / opts.paths;
+}
+
+function downsample(curve, max) {
+  if (curve.length <= max) return curve;
+  const step = curve.length / max;
+  const out = [];
+  for (let i = 0; i < max; i++) out.push(curve[Math.floor(i * step)]);
+  out[out.length - 1] = curve[curve.length - 1];
+  return out;
+}
+
+function simulateStaking(records, opts) {
+  const resolved = records.filter(r => r.resolved_at && typeof r.hit === 'boolean');
+  const curve = [];
+  const run = replay(resolved, opts, curve);
+  const b = netOdds(opts);
+  // The verdict judges the rounds actually bet on, so a threshold can't hide behind the rest
+  const hitRate = run.bets ? run.wins / run.bets : null;
+  const breakEven = 1 / (1 + b);
+  const ev = hitRate === null ? null : hitRate * b - (1 - hitRate);
+  const pnl = run.bankroll - opts.bankroll;
+  let verdict;
+  if (hitRate === null) verdict = resolved.length ? 'Không có ván nào được đặt cược với tham số này' : 'Chưa có dự đoán nào đã có kết quả';
+  else if (ev < 0) {
+    verdict = `Cần thắng ${(breakEven * 100).toFixed(2)}% số ván để hoà vốn, các ván đã cược chỉ đúng ${(hitRate * 100).toFixed(2)}% → ` +
+      `mỗi 100 đồng cược mất trung bình ${(-ev * 100).toFixed(2)} đồng. Không cách chia tiền cược nào biến kỳ vọng âm thành dương.`;
+  } else {
+    verdict = `Các ván đã cược đúng ${(hitRate * 100).toFixed(2)}% trên ${run.bets} ván, trên mức hoà vốn ${(breakEven * 100).toFixed(2)}%, ` +
+      'nhưng mẫu này chưa đủ để loại trừ may rủi; với xúc xắc công bằng kỳ vọng dài hạn vẫn âm.';
+  }
+  return {
+    strategy: opts.strategy,
+    params: { ...opts },
+    rounds: resolved.length,
+    bets: run.bets,
+    skipped: run.skipped,
+    wins: run.wins,
+    hit_rate: hitRate,
+    prediction_hit_rate: resolved.length ? resolved.filter(r => r.hit).length / resolved.length : null,
+    break_even_hit_rate: breakEven,
+    expected_value_per_unit: ev,
+    staked: run.staked,
+    start_bankroll: opts.bankroll,
+    final_bankroll: run.bankroll,
+    pnl,
+    roi: run.staked ? pnl / run.staked : null,
+    max_drawdown: { amount: run.maxDrawdown, pct: run.maxDrawdownPct, from_phien: run.drawdownFrom, to_phien: run.drawdownTo },
+    ruined: run.ruinedAt !== null,
+    ruined_at: run.ruinedAt,
+    risk_of_ruin: riskOfRuin(resolved, opts),
+    curve: downsample(curve, opts.curve_points),
+    verdict
+  };
+}
+
+// Query-string options on top of `defaults`; returns { opts } or { error }
+function parseStakingOptions(query, defaults) {
+  const opts = { ...defaults };
+  const num = (k, lo, hi) => {
+    if (query[k] === undefined) return null;
+    const v = Number(query[k]);
+    if (!Number.isFinite(v) || v < lo || v > hi) return `${k} phải là số trong [${lo}, ${hi}]`;
+    opts[k] = v;
+    return null;
+  };
+  if (query.strategy !== undefined) {
+    if (!STRATEGIES.includes(query.strategy)) return { error: `strategy phải là một trong ${STRATEGIES.join(', ')}` };
+    opts.strategy = query.strategy;
+  }
+  const error = [
+    num('bankroll', 1, 1e12), num('stake', 0.01, 1e12), num('payout', 0.01, 100), num('commission', 0, 0.99),
+    num('threshold', 50, 100), num('kelly_fraction', 0, 1), num('max_doublings', 0, 30), num('paths', 0, 5000), num('seed', 1, 2 ** 31)
+  ].find(e => e);
+  if (error) return { error };
+  opts.paths = Math.round(opts.paths);
+  opts.max_doublings = Math.round(opts.max_doublings);
+  opts.curve_points = clamp(parseInt(query.points, 10) || opts.curve_points, 2, 5000);
+  return { opts };
+}
+
+module.exports = { STRATEGIES, simulateStaking, parseStakingOptions, riskOfRuin };
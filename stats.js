@@ -0,0 +1,83 @@
+// Statistics Helpers
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+  const g = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = 0.99999999999980993;
+  const t = x + 7.5;
+  for (let i = 0; i < g.length; i++) a += g[i] / (x + i + 1);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Regularized upper incomplete gamma Q(a, x): series below a + 1, continued fraction above
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const lnPre = -x + a * Math.log(x) - logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a, term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(lnPre);
+  }
+  let b = x + 1 - a, c = 1 / 1e-300, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.exp(lnPre) * h;
+}
+
+function chiSquarePValue(chi2, df) {
+  if (!(df > 0) || !Number.isFinite(chi2)) return null;
+  return Math.min(1, Math.max(0, gammaQ(df / 2, chi2 / 2)));
+}
+
+// Pearson goodness of fit; `valid` is false when an expected count is below 5
+function chiSquareTest(observed, expected, ddof = 0) {
+  let chi2 = 0;
+  observed.forEach((o, i) => { if (expected[i] > 0) chi2 += Math.pow(o - expected[i], 2) / expected[i]; });
+  const df = observed.length - 1 - ddof;
+  return { chi2, df, pValue: chiSquarePValue(chi2, df), valid: expected.every(e => e >= 5) };
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26 on erf)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? 0.5 * (1 + y) : 0.5 * (1 - y);
+}
+
+function twoSidedP(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// Lower end of the Wilson score interval for a success rate (z = 1.96: 95%)
+function wilsonLower(successes, n, z = 1.96) {
+  if (!n) return 0;
+  const p = successes / n, z2 = z * z;
+  return (p + z2 / (2 * n) - z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / (1 + z2 / n);
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+function variance(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return xs.reduce((s, x) => s + (x - m) * (x - m), 0) / (xs.length - 1);
+}
+
+module.exports = { logGamma, gammaQ, chiSquarePValue, chiSquareTest, normalCdf, twoSidedP, wilsonLower, mean, variance };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON File Storage: one file per key, written to a temp file, fsynced, then renamed,
+// so a crash mid-write leaves either the old or the new file, never a truncated one.
+// saveAll() commits its keys together: each is first written as `<key>.<generation>.json`, then
+// MANIFEST names that generation (the commit point), then the files are renamed into place. On
+// first use, files of the committed generation are renamed in and any others are discarded, so a
+// crash mid-way leaves all of the keys old or all of them new. Temp files a crash left are removed.
+const MANIFEST = '_manifest.json';
+const PENDING_RE = /^(.+)\.(\d+)\.json$/;
+const TEMP_RE = /\.\d+\.\d+\.tmp$/;
+
+class JsonFileStorage {
+  constructor(dir) {
+    this.dir = dir;
+    this.seq = 0;
+    this.generation = 0;
+    this.ready = null;
+  }
+  fileFor(key) {
+    return path.join(this.dir, key + '.json');
+  }
+  async readJson(file, fallback) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return fallback;
+      throw e;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`File ${file} hỏng: ${e.message}`);
+    }
+  }
+  async writeJson(file, value) {
+    const tmp = `${file}.${process.pid}.${this.seq++}.tmp`;
+    const fh = await fs.promises.open(tmp, 'w');
+    try {
+      await fh.writeFile(JSON.stringify(value));
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+    await fs.promises.rename(tmp, file);
+  }
+  // Makes renames in the directory durable; platforms that can't fsync a directory skip it
+  async syncDir() {
+    let fh;
+    try {
+      fh = await fs.promises.open(this.dir, 'r');
+      await fh.sync();
+    } catch (e) {
+      if (!['EISDIR', 'EPERM', 'EINVAL'].includes(e.code)) throw e;
+    } finally {
+      if (fh) await fh.close();
+    }
+  }
+  // Finishes or discards the last saveAll(), once per instance
+  init() {
+    if (!this.ready) this.ready = this.recover();
+    return this.ready;
+  }
+  async recover() {
+    const manifest = await this.readJson(path.join(this.dir, MANIFEST), { generation: 0, keys: [] });
+    this.generation = manifest.generation;
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+    for (const name of names) {
+      const file = path.join(this.dir, name);
+      if (TEMP_RE.test(name)) {
+        await fs.promises.unlink(file);
+        continue;
+      }
+      const m = PENDING_RE.exec(name);
+      if (!m) continue;
+      if (Number(m[2]) === manifest.generation && manifest.keys.includes(m[1])) await fs.promises.rename(file, this.fileFor(m[1]));
+      else await fs.promises.unlink(file);
+    }
+  }
+  async load(key, fallback = null) {
+    await this.init();
+    return this.readJson(this.fileFor(key), fallback);
+  }
+  async save(key, value) {
+    await this.init();
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await this.writeJson(this.fileFor(key), value);
+  }
+  async saveAll(entries) {
+    await this.init();
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const keys = Object.keys(entries);
+    const generation = this.generation + 1;
+    const pending = key => path.join(this.dir, `${key}.${generation}.json`);
+    for (const key of keys) await this.writeJson(pending(key), entries[key]);
+    await this.writeJson(path.join(this.dir, MANIFEST), { generation, keys });
+    await this.syncDir();
+    this.generation = generation;
+    for (const key of keys) await fs.promises.rename(pending(key), this.fileFor(key));
+  }
+  async close() {}
+}
+
+// SQLite Storage: key/value table, multi-key writes run in one transaction
+class SqliteStorage {
+  constructor(file) {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)');
+    this.getStmt = this.db.prepare('SELECT value FROM kv WHERE key = ?');
+    this.putStmt = this.db.prepare('INSERT INTO kv (key, value, updated_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at');
+    this.putMany = this.db.transaction(entries => {
+      const ts = new Date().toISOString();
+      for (const key of Object.keys(entries)) this.putStmt.run(key, JSON.stringify(entries[key]), ts);
+    });
+  }
+  async load(key, fallback = null) {
+    const row = this.getStmt.get(key);
+    return row ? JSON.parse(row.value) : fallback;
+  }
+  async save(key, value) {
+    this.putMany({ [key]: value });
+  }
+  async saveAll(entries) {
+    this.putMany(entries);
+  }
+  async close() {
+    this.db.close();
+  }
+}
+
+function createStorage({ type = 'json', dir = 'data', file } = {}) {
+  if (type === 'json') return new JsonFileStorage(dir);
+  if (type === 'sqlite') return new SqliteStorage(file || path.join(dir, 'sun_predict.db'));
+  throw new Error('Storage không hỗ trợ: ' + type);
+}
+
+module.exports = { JsonFileStorage, SqliteStorage, createStorage };
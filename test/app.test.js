@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createApp, DiceSimulator, NO_RULES, CONFIG } = require('..');
+const log = require('../log');
+
+log.setLevel('error');
+
+// In-memory storage with the interface of storage.js
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    async load(key, fallback = null) { return key in data ? JSON.parse(JSON.stringify(data[key])) : fallback; },
+    async save(key, value) { data[key] = JSON.parse(JSON.stringify(value)); },
+    async saveAll(entries) { Object.keys(entries).forEach(k => { data[k] = JSON.parse(JSON.stringify(entries[k])); }); },
+    async close() {}
+  };
+}
+
+// Upstream that serves the first `shown` rounds of a seeded table in the Sunwin shape
+function fakeUpstream(n = 80, seed = 1) {
+  const rounds = new DiceSimulator({ generator: 'fair', seed }).take(n);
+  const upstream = { shown: 60, calls: [], fail: null };
+  upstream.fetcher = async (url, opts) => {
+    upstream.calls.push({ url, ...opts });
+    if (upstream.fail) throw new Error(upstream.fail);
+    return { data: rounds.slice(0, upstream.shown).map(({ Che_do, ...r }) => r) };
+  };
+  return upstream;
+}
+
+async function start(t, options = {}) {
+  const upstream = fakeUpstream();
+  const storage = memoryStorage();
+  const service = createApp({
+    config: { AUTO_REFRESH_DEFAULT: 0, RESPONSE_CACHE_TTL: 0, ...options.config },
+    fetcher: upstream.fetcher,
+    storage,
+    rules: NO_RULES
+  });
+  const server = await service.listen(0);
+  t.after(() => service.close());
+  // node:http rather than fetch(), which adds Cache-Control: no-cache to conditional requests
+  const get = (path, headers = {}) => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path, headers }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null }));
+    }).on('error', reject);
+  });
+  return { service, upstream, storage, get };
+}
+
+test('serves predictions from the injected fetcher', async t => {
+  const { upstream, storage, get } = await start(t);
+  assert.equal((await get('/readyz')).status, 503);
+  const first = await get('/api/taixiu/sunwin');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.Phien, 60);
+  assert.equal(first.body.Phien_sau, 61);
+  assert.ok(['Tài', 'Xỉu'].includes(first.body.Du_doan));
+  assert.equal(upstream.calls.length, 1);
+  assert.equal(upstream.calls[0].source, 'sunwin');
+  assert.equal((await get('/readyz')).status, 200);
+  upstream.shown = 65;
+  const next = await get('/api/taixiu/sunwin');
+  assert.equal(next.body.Phien, 65);
+  const ledger = await get('/api/taixiu/ledger');
+  assert.equal(ledger.body.total, 2);
+  assert.notEqual(ledger.body.items[1].resolved_at, null);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(storage.data.sun_predict_history_v1.length, 65);
+});
+
+test('answers a repeated request with 304 while the round is unchanged', async t => {
+  const { get } = await start(t, { config: { RESPONSE_CACHE_TTL: 60 } });
+  const first = await get('/api/taixiu/sunwin');
+  const etag = first.headers.etag;
+  assert.equal(etag, 'W/"sunwin-60-vi"');
+  assert.equal((await get('/api/taixiu/sunwin', { 'If-None-Match': etag })).status, 304);
+  const en = await get('/api/taixiu/sunwin?lang=en');
+  assert.equal(en.headers['content-language'], 'en');
+  assert.equal(en.body.Giai_thich_chi_tiet.lang, 'en');
+});
+
+test('reports upstream failures without a prediction', async t => {
+  const { service, upstream, get } = await start(t);
+  upstream.fail = 'timeout of 8000ms exceeded';
+  const res = await get('/api/taixiu/sunwin');
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error, 'Lỗi khi lấy dữ liệu: timeout of 8000ms exceeded');
+  assert.equal(service.sources.get('sunwin').latest, null);
+  assert.match(service.metrics.registry.render(), /taixiu_upstream_fetch_errors_total\{source="sunwin"\} 1/);
+});
+
+test('apps built side by side keep separate state', async t => {
+  const a = await start(t);
+  const b = await start(t);
+  b.upstream.shown = 70;
+  assert.equal((await a.get('/api/taixiu/sunwin')).body.Phien, 60);
+  assert.equal((await b.get('/api/taixiu/sunwin')).body.Phien, 70);
+  assert.notEqual(a.service.sources.get('sunwin'), b.service.sources.get('sunwin'));
+  assert.match(a.service.metrics.registry.render(), /taixiu_rounds_ingested_total\{source="sunwin"\} 60\n/);
+});
+
+test('anonymous callers are unlimited unless limits are configured, counted per forwarded IP', async t => {
+  const open = await start(t);
+  for (let i = 0; i < 30; i++) assert.equal((await open.get('/api/taixiu/sources')).status, 200);
+  const limited = await start(t, {
+    config: { TRUST_PROXY: 1, API_KEYS: { ...CONFIG.API_KEYS, anonymous: { daily_quota: null, per_minute: 2 } } }
+  });
+  const from = ip => limited.get('/api/taixiu/sources', { 'X-Forwarded-For': ip });
+  assert.equal((await from('10.0.0.1')).status, 200);
+  assert.equal((await from('10.0.0.1')).status, 200);
+  const refused = await from('10.0.0.1');
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers['x-ratelimit-limit'], '2');
+  assert.equal(refused.headers['x-quota-limit'], undefined);
+  assert.equal((await from('10.0.0.2')).status, 200);
+});
+
+test('backtests the stored history, capped at BACKTEST_MAX_ROUNDS', async t => {
+  const { get } = await start(t, { config: { BACKTEST_MAX_ROUNDS: 40, BACKTEST_PER_MINUTE: 2 } });
+  await get('/api/taixiu/sunwin');
+  await new Promise(resolve => setImmediate(resolve));
+  const report = (await get('/api/taixiu/backtest?limit=1000')).body;
+  assert.equal(report.first_phien, 21);
+  assert.equal(report.last_phien, 60);
+  assert.deepEqual((await get('/api/taixiu/backtest?limit=1000')).body, report);
+  assert.equal((await get('/api/taixiu/backtest?limit=10')).body.first_phien, 51);
+  // The seed is fixed, so these are cache hits; a new warmup is a third run and over the limit
+  assert.deepEqual((await get('/api/taixiu/backtest?seed=7')).body, report);
+  assert.equal((await get('/api/taixiu/backtest?calibration=isotonic&seed=8')).status, 200);
+  assert.equal((await get('/api/taixiu/backtest?calibration=bogus')).status, 400);
+  const limited = await get('/api/taixiu/backtest?warmup=5');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+});
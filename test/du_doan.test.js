@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { du_doan_js, RULE_IDS } = require('../du_doan');
+const { format } = require('../messages');
+const { seededRandom } = require('../utils');
+
+// labels: 'TXT…' (latest last); xx: dice of the latest round; diem: totals before it
+function run(labels, { dem_sai = 0, pattern_sai = {}, xx = '1-2-4', diem = [], store = {}, memory = {}, options = {} } = {}) {
+  return du_doan_js(labels.split(''), dem_sai, pattern_sai, xx, diem, store, memory, options);
+}
+
+function expectRule(out, winner, pred, score, key) {
+  assert.equal(out.error, null);
+  assert.equal(out.winner, winner);
+  assert.equal(out.pred, pred);
+  assert.equal(out.score, score);
+  assert.equal(out.key, 'du.' + key);
+  assert.equal(out.reason, format('vi', out.key, out.params));
+}
+
+test('learned_pattern follows the most reliable remembered suffix', () => {
+  const memory = {
+    pattern: {
+      XT: { count: 40, correct: 32, next_pred: 'X' },
+      T: { count: 100, correct: 60, next_pred: 'T' }, // Wilson lower bound 0.50
+      TXT: { count: 12, correct: 12, next_pred: 'T' } // too few samples
+    }
+  };
+  const out = run('TXT', { memory });
+  expectRule(out, 'learned_pattern', 'X', 98, 'learned_pattern');
+  assert.equal(out.params.pattern, 'XT');
+  assert.equal(out.reason, "Dự theo mẫu đã học 'XT' tin cậy 0.80");
+});
+
+test('learned_pattern stays out of the way until a suffix beats chance', () => {
+  const memory = { pattern: { XT: { count: 19, correct: 17, next_pred: 'X' }, TXT: { count: 30, correct: 19, next_pred: 'T' } } };
+  assert.equal(run('TXT', { memory }).trace.find(t => t.id === 'learned_pattern').matched, false);
+  const looser = run('TXT', { memory, options: { learned: { min_count: 10, min_lower: 0.6 } } });
+  expectRule(looser, 'learned_pattern', 'X', 98, 'learned_pattern');
+});
+
+test('error_memory reverses a tail that was missed twice', () => {
+  expectRule(run('TXT', { memory: { error: { 'T,X,T': 2 } } }), 'error_memory', 'X', 89, 'error_memory');
+  assert.notEqual(run('TXT', { memory: { error: { 'T,X,T': 1 } } }).winner, 'error_memory');
+});
+
+test('miss_streak_flip reverses after four misses', () => {
+  const out = run('TXT', { dem_sai: 4 });
+  expectRule(out, 'miss_streak_flip', 'X', 87, 'miss_streak_flip');
+  assert.equal(out.reason, 'Sai liên tiếp 4 → đổi');
+});
+
+test('signal_change never matches an odd window', () => {
+  ['TXTXT', 'XTXTX', 'TTXXT', 'XXTTX'].forEach(labels => {
+    const entry = run(labels).trace.find(t => t.id === 'signal_change');
+    assert.equal(entry.matched, false);
+  });
+});
+
+test('first_hand decides from the total alone', () => {
+  expectRule(run('', { xx: '6-6-5' }), 'first_hand', 'T', 98, 'first_hand_high');
+  expectRule(run('', { xx: '1-2-3' }), 'first_hand', 'X', 98, 'first_hand_low');
+  expectRule(run('', { xx: '3-4-5' }), 'first_hand', 'T', 75, 'first_hand_total');
+  expectRule(run('', { xx: '2-3-4' }), 'first_hand', 'X', 75, 'first_hand_total');
+  expectRule(run('', { xx: [6, 6, 4] }), 'first_hand', 'T', 98, 'first_hand_high');
+});
+
+test('second_hand uses extreme totals, otherwise reverses', () => {
+  expectRule(run('X', { xx: '6-5-5' }), 'second_hand', 'T', 98, 'second_hand_high');
+  expectRule(run('T', { xx: '1-1-2' }), 'second_hand', 'X', 98, 'second_hand_low');
+  const out = run('T', { xx: '2-3-4' });
+  expectRule(out, 'second_hand', 'X', 80, 'second_hand_reverse');
+  assert.equal(out.reason, 'Tay 2 → dự đoán ngược (T)');
+});
+
+test('bet_bet follows a streak that answered an equal streak', () => {
+  const out = run('XTTTTXXXX');
+  expectRule(out, 'bet_bet', 'X', 90, 'bet_bet');
+  assert.equal(out.params.pattern, 'TTTTXXXX');
+  expectRule(run('TXXXXTTTT'), 'bet_bet', 'T', 90, 'bet_bet');
+});
+
+test('point_repeat_3 and point_repeat_2 use the repeated total', () => {
+  expectRule(run('TX', { xx: '2-3-4', diem: [9, 9] }), 'point_repeat_3', 'T', 96, 'point_repeat_3');
+  expectRule(run('TX', { xx: '2-2-4', diem: [5, 8] }), 'point_repeat_2', 'T', 94, 'point_repeat_2');
+  expectRule(run('TX', { xx: '1-3-5', diem: [9] }), 'point_repeat_2', 'X', 94, 'point_repeat_2');
+});
+
+test('triple_dice reads the face, and a triple six only during a streak', () => {
+  expectRule(run('TX', { xx: '2-2-2' }), 'triple_dice', 'X', 97, 'triple_dice_xiu');
+  expectRule(run('TX', { xx: '5-5-5' }), 'triple_dice', 'T', 97, 'triple_dice_tai');
+  expectRule(run('XTTT', { xx: '6-6-6' }), 'triple_dice', 'T', 97, 'triple_six_streak');
+  assert.notEqual(run('TX', { xx: '6-6-6' }).winner, 'triple_dice');
+});
+
+test('streak on Tài: follow, try one break at 5, hold, break on a 3', () => {
+  expectRule(run('XTTT'), 'streak', 'T', 93, 'streak_follow');
+  const store = {};
+  expectRule(run('XTTTTT', { store }), 'streak', 'X', 80, 'streak_try_break_tai');
+  assert.deepEqual(store, { da_be_tai: true });
+  expectRule(run('XTTTTT', { store }), 'streak', 'T', 90, 'streak_hold_tai');
+  expectRule(run('XTTTTT', { store, xx: '3-4-5' }), 'streak', 'X', 95, 'streak_break_tai');
+  assert.deepEqual(store, { da_be_tai: false });
+});
+
+test('streak on Xỉu: follow, try one break at 5, hold, break on a 5', () => {
+  const out = run('TXXX');
+  expectRule(out, 'streak', 'X', 93, 'streak_follow');
+  assert.equal(out.reason, 'Bệt X (3 tay)');
+  const store = {};
+  expectRule(run('TXXXXX', { store }), 'streak', 'T', 80, 'streak_try_break_xiu');
+  expectRule(run('TXXXXX', { store }), 'streak', 'X', 90, 'streak_hold_xiu');
+  expectRule(run('TXXXXX', { store, xx: '1-2-5' }), 'streak', 'T', 95, 'streak_break_xiu');
+  assert.deepEqual(store, { da_be_xiu: false });
+});
+
+test('cau_mau_1_1 breaks at hand 5 or 6, otherwise follows', () => {
+  const options = { cau_mau: { '1-1': ['TXTX'] } };
+  const five = run('XTXTX', { options });
+  expectRule(five, 'cau_mau_1_1', 'T', 85, 'cau_1_1_break_5');
+  assert.equal(five.rule, 'cau_mau:1-1');
+  expectRule(run('XXTXTX', { options }), 'cau_mau_1_1', 'T', 90, 'cau_1_1_break_6');
+  expectRule(run('TXXTXTX', { options }), 'cau_mau_1_1', 'X', 72, 'follow_last');
+});
+
+test('cau_mau reverses on any configured shape', () => {
+  const out = run('XTXXT', { options: { cau_mau: { '1-2-1': ['TXXT'] } } });
+  expectRule(out, 'cau_mau', 'X', 90, 'cau_mau');
+  assert.equal(out.rule, 'cau_mau:1-2-1');
+  assert.equal(out.reason, 'Phát hiện cầu 1-2-1');
+});
+
+test('one_one_break reverses an alternating tail', () => {
+  const out = run('XXTXTX');
+  expectRule(out, 'one_one_break', 'T', 90, 'one_one_break');
+  assert.equal(out.params.hands, 4);
+});
+
+test('miss_flip, old_error_pattern, imbalance and follow_last', () => {
+  expectRule(run('TTX', { dem_sai: 3 }), 'miss_flip', 'T', 88, 'miss_flip');
+  expectRule(run('TTX', { pattern_sai: { 'T,T,X': 1 } }), 'old_error_pattern', 'T', 86, 'old_error_pattern');
+  const imbalance = run('TTXTTXT');
+  expectRule(imbalance, 'imbalance', 'T', 84, 'imbalance');
+  assert.deepEqual(imbalance.params, { diff: 3, side: 'T' });
+  expectRule(run('TX'), 'follow_last', 'X', 72, 'follow_last');
+});
+
+test('no rule matching gives no prediction', () => {
+  const overrides = Object.fromEntries(RULE_IDS.map(id => [id, { enabled: false }]));
+  const out = run('TX', { options: { overrides } });
+  assert.equal(out.pred, null);
+  assert.equal(out.key, 'du.no_match');
+  assert.ok(out.trace.every(t => !t.enabled && !t.matched));
+});
+
+test('overrides reorder rules, and the trace shows what else matched', () => {
+  const out = run('XTTT', { options: { overrides: { follow_last: { priority: 1 } } } });
+  expectRule(out, 'follow_last', 'T', 72, 'follow_last');
+  assert.equal(out.trace[0].id, 'follow_last');
+  assert.equal(out.trace.find(t => t.id === 'streak').matched, true);
+  assert.equal(out.trace.filter(t => t.won).length, 1);
+});
+
+test('a failing rule above the winner voids the prediction, below it is only traced', () => {
+  const options = { cau_mau: { broken: 'TX' } };
+  const failed = run('TX', { options });
+  assert.equal(failed.pred, null);
+  assert.equal(failed.key, 'du.error');
+  assert.match(failed.error, /^Lỗi trong du_doan_js: cau_mau: /);
+  assert.ok(failed.trace.every(t => !t.won));
+  const traced = run('XTTT', { options });
+  expectRule(traced, 'streak', 'T', 93, 'streak_follow');
+  assert.ok(traced.trace.find(t => t.id === 'cau_mau').error);
+});
+
+test('seeded random inputs: the winner is the first enabled match and reasons render', () => {
+  const rand = seededRandom(7);
+  const pick = arr => arr[Math.floor(rand() * arr.length)];
+  const seen = new Set();
+  for (let i = 0; i < 2000; i++) {
+    const labels = Array.from({ length: Math.floor(rand() * 14) }, () => pick(['T', 'X'])).join('');
+    const dice = [1, 2, 3].map(() => 1 + Math.floor(rand() * 6));
+    const out = run(labels, {
+      dem_sai: Math.floor(rand() * 5),
+      xx: dice.join('-'),
+      diem: [pick([9, 10, 11]), pick([9, 10, 11])],
+      memory: { error: rand() < 0.2 ? { [labels.slice(-3).split('').join(',')]: 2 } : {} },
+      options: { cau_mau: { '1-1': ['TXTX', 'XTXT'], '2-2': ['TTXX', 'XXTT'] } }
+    });
+    const first = out.trace.find(t => t.matched);
+    assert.equal(out.winner, first.id);
+    assert.ok(first.won);
+    assert.ok(out.pred === 'T' || out.pred === 'X');
+    assert.equal(out.reason, format('vi', out.key, out.params));
+    seen.add(out.key);
+  }
+  // Everything reachable without learned patterns shows up (one_one_break is shadowed by the 1-1 cầu mẫu here)
+  ['first_hand_total', 'second_hand_reverse', 'point_repeat_2', 'point_repeat_3', 'triple_dice_xiu', 'streak_follow',
+    'cau_1_1_break_5', 'cau_mau', 'miss_flip', 'miss_streak_flip', 'error_memory', 'follow_last'].forEach(k => assert.ok(seen.has('du.' + k), k));
+});
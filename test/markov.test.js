@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MarkovModel } = require('../models/markov');
+const { seededRandom } = require('../utils');
+
+const repeat = (pattern, n) => pattern.repeat(Math.ceil(n / pattern.length)).slice(0, n).split('');
+
+function coinFlips(n, seed) {
+  const rand = seededRandom(seed);
+  return Array.from({ length: n }, () => (rand() < 0.5 ? 'T' : 'X'));
+}
+
+test('an untrained model predicts ½ from the empty context', () => {
+  const m = new MarkovModel(4);
+  const p = m.predictProba(['T', 'X', 'T']);
+  assert.equal(p.T, 0.5);
+  assert.equal(p.order, 0);
+  assert.equal(p.samples, 0);
+});
+
+test('a period-3 road needs order 2, and the tree goes that deep', () => {
+  const m = new MarkovModel(6);
+  const seq = repeat('TTX', 300);
+  m.train(seq);
+  // After …T T X comes T, after …X T comes T, after …T T comes X
+  const p = m.predictProba(seq);
+  assert.ok(p.T > 0.95, `P(T) = ${p.T}`);
+  assert.ok(p.order >= 2, `order ${p.order}`);
+  assert.ok(p.order <= 6);
+  assert.ok(m.predictProba(seq.slice(0, -2)).T > 0.95);
+  assert.ok(m.predictProba(seq.slice(0, -1)).X > 0.95);
+});
+
+test('backs off to the longest context that has samples', () => {
+  const m = new MarkovModel(5);
+  m.train(repeat('TX', 200));
+  // TT never occurred: the order-1 context T answers, X. The unseen deeper context still gets
+  // its share of the weighting at ½, so the estimate is less sure than after a seen one.
+  const unseen = m.predictProba(['X', 'T', 'X', 'T', 'T']);
+  const seen = m.predictProba(['T', 'X', 'T', 'X', 'T']);
+  assert.equal(unseen.context, 'T');
+  assert.equal(unseen.order, 1);
+  assert.ok(unseen.X > 0.6, `P(X) = ${unseen.X}`);
+  assert.ok(seen.X > unseen.X);
+  assert.ok(seen.X > 0.95, `P(X) = ${seen.X}`);
+});
+
+test('fair coin flips stay near ½ and shallow', () => {
+  const m = new MarkovModel(8);
+  const seq = coinFlips(2000, 11);
+  m.train(seq);
+  for (let end = 1500; end <= 2000; end += 50) {
+    const p = m.predictProba(seq.slice(0, end));
+    assert.ok(Math.abs(p.T - 0.5) < 0.1, `P(T) = ${p.T} at ${end}`);
+    assert.ok(p.order <= 2, `order ${p.order} at ${end}`);
+  }
+});
+
+test('update() one round at a time matches train() on the whole sequence', () => {
+  const seq = coinFlips(400, 5).concat(repeat('TTXX', 200));
+  const batch = new MarkovModel(4);
+  batch.train(seq);
+  const online = new MarkovModel(4);
+  seq.forEach((x, i) => online.update(seq.slice(0, i), x));
+  assert.deepEqual(online.tables, batch.tables);
+  const a = batch.predictProba(seq), b = online.predictProba(seq);
+  assert.equal(a.T, b.T);
+  assert.equal(a.context, b.context);
+});
+
+test('counts: the root has seen every round, deeper contexts split them', () => {
+  const m = new MarkovModel(3);
+  const seq = coinFlips(300, 9);
+  m.train(seq);
+  const root = m.nodeAt('');
+  assert.equal(root.T + root.X, seq.length);
+  const t = m.nodeAt('T'), x = m.nodeAt('X');
+  assert.equal(t.T + t.X + x.T + x.X, seq.length - 1);
+  assert.equal(m.tables.length, 4);
+  m.update(seq, 'Q'); // ignored
+  assert.equal(m.nodeAt('').T + m.nodeAt('').X, seq.length);
+});
+
+test('the tree stays a proper distribution: both branches sum to 1 once the history is order long', () => {
+  const m = new MarkovModel(8);
+  const seq = coinFlips(2000, 3);
+  seq.forEach((x, i) => {
+    const before = seq.slice(Math.max(0, i - 8), i);
+    const root = m.nodeAt('').lw;
+    const sum = Math.exp(m.walk(before, 'T', false) - root) + Math.exp(m.walk(before, 'X', false) - root);
+    if (i >= 8) assert.ok(Math.abs(sum - 1) < 1e-9, `sum ${sum} at ${i}`);
+    const p = m.predictProba(before);
+    assert.ok(Math.abs(p.T + p.X - 1) < 1e-12);
+    m.update(before, x);
+  });
+});
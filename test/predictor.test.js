@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { PredictorService, runBacktest, normalizeRounds, DiceSimulator, CONFIG } = require('..');
+
+const history = (n, cfg = { generator: 'fair' }, seed = 1) => new DiceSimulator({ ...cfg, seed }).take(n);
+const withoutTime = ({ timestamp, ...rest }) => rest;
+
+test('normalizeRounds maps upstream spellings onto round fields', () => {
+  const rounds = normalizeRounds({ data: [{ id: 7, d1: 1, d2: 2, d3: 6, result: 'T' }, { Phien: 8, x1: 2, x2: 2, x3: 2, total: 6, Ket_qua: 'Xỉu' }] });
+  assert.deepEqual(rounds.map(({ raw, ...r }) => r), [
+    { Phien: 7, Xuc_xac_1: 1, Xuc_xac_2: 2, Xuc_xac_3: 6, Tong: 9, Ket_qua: 'Tài' },
+    { Phien: 8, Xuc_xac_1: 2, Xuc_xac_2: 2, Xuc_xac_3: 2, Tong: 6, Ket_qua: 'Xỉu' }
+  ]);
+});
+
+test('predictions are deterministic for the same history', () => {
+  const rounds = history(300);
+  const a = new PredictorService(rounds.slice()).predict();
+  const b = new PredictorService(rounds.slice()).predict();
+  assert.deepEqual(withoutTime(a), withoutTime(b));
+  assert.ok(Math.abs(a.distribution.T + a.distribution.X - 1) < 1e-12);
+  assert.equal(a.prediction, a.distribution.T >= 0.5 ? 'Tài' : 'Xỉu');
+  assert.equal(a.history_len, 300);
+});
+
+test('explanation contributions add up to the served P(Tài) − ½', () => {
+  const service = new PredictorService([]);
+  history(400, { generator: 'streaky', p_repeat: 0.8 }, 4).forEach((round, i) => {
+    const out = service.predict();
+    if (i % 50 === 49) {
+      // Model factors split the ensemble's share, so they are left out of the total
+      const sum = out.explanation.factors.filter(f => f.source !== 'model').reduce((s, f) => s + (f.contribution || 0), 0);
+      assert.ok(Math.abs(sum - (out.distribution.T - 0.5)) < 1e-9);
+      assert.equal(out.explanation.factors.find(f => f.source === 'du_doan').key, out.du_doan.key);
+    }
+    service.learn(round);
+  });
+});
+
+test('learn() resolves the prediction made for that round', () => {
+  const rounds = history(120, { generator: 'fair' }, 2);
+  const service = new PredictorService(rounds.slice(0, 100));
+  const issued = service.predict();
+  const resolved = service.learn(rounds[100]);
+  assert.equal(resolved.Phien, rounds[100].Phien);
+  assert.equal(resolved.predicted, issued.distribution.T >= 0.5 ? 'T' : 'X');
+  assert.equal(resolved.hit, resolved.predicted === resolved.actual);
+  assert.equal(service.pending, null);
+  assert.equal(service.history.length, 101);
+});
+
+test('a streaky table is labelled streaky and beats chance', () => {
+  const report = runBacktest(history(600, { generator: 'streaky', p_repeat: 0.85 }, 3), { warmup: 100 });
+  assert.equal(report.scored, 500);
+  assert.ok(report.sources.final.hitRate > 0.7, `hit rate ${report.sources.final.hitRate}`);
+  assert.ok(report.sources.markov.hitRate > 0.7);
+  const service = new PredictorService(history(300, { generator: 'streaky', p_repeat: 0.85 }, 3));
+  assert.equal(service.predict().roadType, 'streaky');
+});
+
+test('backtests are reproducible and honour the config passed in', () => {
+  const rounds = history(250, { generator: 'fair' }, 6);
+  const a = runBacktest(rounds, { warmup: 50, seed: 3 });
+  const b = runBacktest(rounds, { warmup: 50, seed: 3 });
+  assert.deepEqual(withoutTime(a), withoutTime(b));
+  const markovOnly = runBacktest(rounds, { warmup: 50, config: { ...CONFIG, MODELS: ['markov'] } });
+  assert.deepEqual(Object.keys(markovOnly.sources).filter(s => !['final', 'final_raw', 'ensemble', 'du_doan_js', 'manual', 'always_tai', 'random'].includes(s)), ['markov']);
+});
+
+test('a round without a result is not learned as either side', () => {
+  const rounds = history(80, { generator: 'fair' }, 8);
+  const service = new PredictorService(rounds.slice(0, 60));
+  const weights = { ...service.ensemble.weights };
+  const markov = JSON.stringify(service.ensemble.models.markov.tables);
+  const { Ket_qua, Tong, ...unlabeled } = rounds[60];
+  assert.equal(service.learn({ ...unlabeled, Tong: null, Ket_qua: null }), null);
+  assert.deepEqual(service.ensemble.weights, weights);
+  assert.equal(JSON.stringify(service.ensemble.models.markov.tables), markov);
+  assert.equal(service.history.length, 61);
+});
+
+test('an unlabeled round leaves the context of later predictions unchanged', () => {
+  const rounds = history(90, { generator: 'streaky', p_repeat: 0.7 }, 9);
+  const unlabeled = { Phien: null, Xuc_xac_1: null, Xuc_xac_2: null, Xuc_xac_3: null, Tong: null, Ket_qua: null };
+  const same = (a, b) => {
+    assert.deepEqual(a.distribution, b.distribution);
+    assert.deepEqual(a.du_doan, b.du_doan);
+    assert.deepEqual(a.regime, b.regime);
+  };
+  const plain = new PredictorService(rounds.slice(0, 60));
+  const withGap = new PredictorService([...rounds.slice(0, 59), unlabeled, rounds[59]]);
+  same(plain.predict(), withGap.predict());
+  rounds.slice(60, 75).forEach((round, i) => {
+    plain.learn(round);
+    if (i === 5) withGap.learn({ ...unlabeled, Ket_qua: '?' });
+    withGap.learn(round);
+  });
+  same(plain.predict(), withGap.predict());
+});
+
+test('MODELS_DIR models are available to an offline backtest', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taixiu-models-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'always_x.js'),
+    "module.exports = { name: 'always_x_test', create: () => ({ train() {}, predictProba: () => ({ T: 0.2, X: 0.8 }) }) };");
+  const config = { ...CONFIG, MODELS: ['markov', 'always_x_test'], MODELS_DIR: dir };
+  const report = runBacktest(history(120, { generator: 'fair' }, 4), { warmup: 20, config });
+  assert.equal(report.sources.always_x_test.n, 100);
+});
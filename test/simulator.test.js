@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { DiceSimulator } = require('..');
+
+test('replay sums string dice and skips rounds with invalid faces', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taixiu-replay-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'history.json');
+  fs.writeFileSync(file, JSON.stringify([
+    { Phien: 2, Xuc_xac_1: '3', Xuc_xac_2: '4', Xuc_xac_3: '5', Ket_qua: 'Tài' },
+    { Phien: 1, Xuc_xac_1: '1', Xuc_xac_2: '2', Xuc_xac_3: '3', Ket_qua: 'Xỉu' },
+    { Phien: 3, Xuc_xac_1: '2.5', Xuc_xac_2: '4', Xuc_xac_3: '5' },
+    { Phien: 4, Xuc_xac_1: 7, Xuc_xac_2: 1, Xuc_xac_3: 1 }
+  ]));
+  const rounds = new DiceSimulator({ generator: 'replay', file, seed: 1 }).take(5);
+  assert.deepEqual(rounds.map(({ Phien, ...r }) => r), [
+    { Xuc_xac_1: 1, Xuc_xac_2: 2, Xuc_xac_3: 3, Tong: 6, Ket_qua: 'Xỉu', Che_do: 'replay' },
+    { Xuc_xac_1: 3, Xuc_xac_2: 4, Xuc_xac_3: 5, Tong: 12, Ket_qua: 'Tài', Che_do: 'replay' }
+  ]);
+});
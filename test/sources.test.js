@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapRounds, validateRound, normalizeRounds, DataQuality } = require('..');
+
+test('string dice without Tong validate, with Tong derived from the dice', () => {
+  const [sunwin] = mapRounds({ data: [{ Phien: '101', Xuc_xac_1: '3', Xuc_xac_2: '4', Xuc_xac_3: '5' }] }, 'sunwin');
+  assert.equal(sunwin.Tong, null);
+  const { round, errors } = validateRound(sunwin);
+  assert.deepEqual(errors, []);
+  assert.equal(round.Tong, 12);
+  assert.equal(round.Ket_qua, 'Tài');
+  const [compact] = mapRounds([{ id: 102, d1: '6', d2: '6', d3: '6' }], 'compact');
+  assert.equal(validateRound(compact).round.Tong, 18);
+  assert.equal(normalizeRounds([{ Phien: 103, x1: '1', x2: '2', x3: '3' }])[0].Tong, 6);
+});
+
+test('a stored round re-sent in another shape counts as a duplicate, not a rejection', () => {
+  const quality = new DataQuality();
+  const stored = [{ Phien: 5, Xuc_xac_1: 1, Xuc_xac_2: 2, Xuc_xac_3: 3, Tong: 6, Ket_qua: 'Xỉu' }];
+  const fresh = quality.screen([
+    { Phien: '5', Xuc_xac_1: 'one', Xuc_xac_2: null, Xuc_xac_3: null, Tong: null, Ket_qua: 'Xỉu' },
+    { Phien: 5, Xuc_xac_1: 1, Xuc_xac_2: 2, Xuc_xac_3: 3, Tong: null, Ket_qua: null },
+    { Phien: 5, Xuc_xac_1: 6, Xuc_xac_2: 6, Xuc_xac_3: 6, Tong: null, Ket_qua: null },
+    { Phien: 6, Xuc_xac_1: 4, Xuc_xac_2: 4, Xuc_xac_3: 4, Tong: null, Ket_qua: null }
+  ], stored);
+  assert.deepEqual(fresh.map(r => r.Phien), [6]);
+  const report = quality.report();
+  assert.equal(report.duplicates, 2);
+  assert.equal(report.rejected, 1);
+  assert.deepEqual(report.rejected_by_reason, { conflicting_duplicate: 1 });
+});
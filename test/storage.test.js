@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JsonFileStorage } = require('../storage');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taixiu-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const write = (dir, name, value) => fs.writeFileSync(path.join(dir, name), JSON.stringify(value));
+
+test('saveAll writes every key and leaves no pending files', async t => {
+  const dir = tempDir(t);
+  const store = new JsonFileStorage(dir);
+  await store.saveAll({ history: [1, 2], ledger: ['a'] });
+  await store.saveAll({ history: [1, 2, 3], ledger: ['a', 'b'] });
+  assert.deepEqual(await store.load('history'), [1, 2, 3]);
+  assert.deepEqual(await new JsonFileStorage(dir).load('ledger'), ['a', 'b']);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['_manifest.json', 'history.json', 'ledger.json']);
+});
+
+test('a crash before the manifest is written keeps every key at the old generation', async t => {
+  const dir = tempDir(t);
+  await new JsonFileStorage(dir).saveAll({ history: [1], ledger: ['a'] });
+  write(dir, 'history.2.json', [1, 2]); // ledger.2.json never written
+  write(dir, 'ledger.2.json.4242.0.tmp', ['a', 'b']);
+  const store = new JsonFileStorage(dir);
+  assert.deepEqual(await store.load('history'), [1]);
+  assert.deepEqual(await store.load('ledger'), ['a']);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['_manifest.json', 'history.json', 'ledger.json']);
+  await store.saveAll({ history: [1, 2, 3] });
+  assert.deepEqual(await new JsonFileStorage(dir).load('history'), [1, 2, 3]);
+});
+
+test('a crash after the manifest is written brings every key to the new generation', async t => {
+  const dir = tempDir(t);
+  await new JsonFileStorage(dir).saveAll({ history: [1], ledger: ['a'] });
+  write(dir, 'history.2.json', [1, 2]);
+  write(dir, 'ledger.2.json', ['a', 'b']);
+  write(dir, '_manifest.json', { generation: 2, keys: ['history', 'ledger'] });
+  const store = new JsonFileStorage(dir);
+  assert.deepEqual(await store.load('ledger'), ['a', 'b']);
+  assert.deepEqual(await store.load('history'), [1, 2]);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['_manifest.json', 'history.json', 'ledger.json']);
+});
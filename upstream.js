@@ -0,0 +1,331 @@
+const fs = require('fs');
+const axios = require('axios');
+const { nowStr, last, seqFromHistory } = require('./utils');
+const { CONFIG } = require('./config');
+const { PredictorService, NO_RULES } = require('./predictor');
+const { PredictionLedger } = require('./ledger');
+const { mapRounds } = require('./sources');
+const { diceTotal, DataQuality } = require('./validation');
+const { EventFeed } = require('./push');
+const { DiceSimulator } = require('./simulator');
+const { DEFAULT_LANG, localizeExplanation } = require('./messages');
+const { createServiceMetrics } = require('./metrics');
+const log = require('./log');
+
+// History files and stored rounds use the 'legacy' profile, which accepts every known spelling.
+// They skip validation, so a missing Tong is filled in from the dice here.
+function normalizeRounds(data, profile = 'legacy') {
+  return mapRounds(data, profile).map(r => (r.Tong === null ? { ...r, Tong: diceTotal(r) } : r));
+}
+
+async function loadHistoryFile(file) {
+  const text = await fs.promises.readFile(file, 'utf8');
+  const rounds = normalizeRounds(JSON.parse(text)).filter(r => r.Phien !== null);
+  if (rounds.every(r => Number.isFinite(Number(r.Phien)))) rounds.sort((a, b) => Number(a.Phien) - Number(b.Phien));
+  return rounds;
+}
+
+// Fetcher: (url, { timeout, source }) → the upstream's parsed JSON body. Sources normalize it with
+// their profile, so a test or another transport only has to return what the API would.
+async function httpFetcher(url, { timeout }) {
+  return (await axios.get(url, { timeout })).data;
+}
+
+// Upstream Poller: polls every `intervalSec` seconds, backing off exponentially on errors
+class UpstreamPoller {
+  constructor(refresh, intervalSec = CONFIG.AUTO_REFRESH_DEFAULT, config = CONFIG) {
+    this.config = config;
+    this.refresh = refresh;
+    this.intervalMs = intervalSec * 1000;
+    this.timer = null;
+    this.running = false;
+    this.lastSuccessAt = null;
+    this.lastErrorAt = null;
+    this.lastError = null;
+    this.errorCount = 0;
+    this.consecutiveErrors = 0;
+    this.roundsIngested = 0;
+    this.polls = 0;
+    this.nextPollAt = null;
+    this.gaps = [];
+  }
+  start() {
+    if (this.running || this.intervalMs <= 0) return this;
+    this.running = true;
+    this.schedule(0);
+    return this;
+  }
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextPollAt = null;
+  }
+  schedule(delay) {
+    if (!this.running) return;
+    this.nextPollAt = new Date(Date.now() + delay).toISOString();
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+  nextDelay() {
+    if (!this.consecutiveErrors) return this.intervalMs;
+    const backoff = this.config.FETCH_BACKOFF_BASE_MS * Math.pow(2, this.consecutiveErrors - 1);
+    return Math.min(this.config.FETCH_BACKOFF_MAX_MS, Math.max(this.intervalMs, backoff));
+  }
+  async tick() {
+    this.polls++;
+    try {
+      const ingest = await this.refresh();
+      this.lastSuccessAt = nowStr();
+      this.consecutiveErrors = 0;
+      this.roundsIngested += ingest.added;
+      if (ingest.gaps.length) {
+        ingest.gaps.forEach(g => this.gaps.push({ ...g, detected_at: this.lastSuccessAt }));
+        this.gaps = last(this.gaps, this.config.MAX_GAPS_TRACKED);
+      }
+    } catch (e) {
+      this.lastErrorAt = nowStr();
+      this.lastError = e.message || String(e);
+      this.errorCount++;
+      this.consecutiveErrors++;
+    }
+    this.schedule(this.nextDelay());
+  }
+  status() {
+    return {
+      running: this.running,
+      interval_sec: this.intervalMs / 1000,
+      polls: this.polls,
+      last_success_at: this.lastSuccessAt,
+      last_error_at: this.lastErrorAt,
+      last_error: this.lastError,
+      error_count: this.errorCount,
+      consecutive_errors: this.consecutiveErrors,
+      next_poll_at: this.nextPollAt,
+      rounds_ingested: this.roundsIngested,
+      gaps: this.gaps
+    };
+  }
+}
+
+// Source: one upstream table with its own history, memories, predictor, ledger and poller.
+// opts: { config, fetcher, rules, metrics, onChange }; onChange() runs after a refresh that changed
+// state worth persisting.
+class Source {
+  constructor(cfg, opts = {}) {
+    const config = this.config = opts.config || CONFIG;
+    this.fetcher = opts.fetcher || httpFetcher;
+    this.rules = opts.rules || NO_RULES;
+    this.metrics = opts.metrics || createServiceMetrics(config.FETCH_LATENCY_BUCKETS);
+    this.onChange = opts.onChange || (() => {});
+    this.name = cfg.name;
+    this.url = cfg.url;
+    this.simulatorConfig = cfg.simulator;
+    this.simulator = null;
+    if (cfg.simulator) {
+      try {
+        this.simulator = new DiceSimulator(cfg.simulator);
+      } catch (e) {
+        throw new Error(`Nguồn ${cfg.name}: ${e.message}`);
+      }
+    }
+    this.profileName = cfg.profileName;
+    this.profile = cfg.profile;
+    this.keys = {};
+    Object.keys(config.STORAGE_KEYS).forEach(k => this.keys[k] = `${cfg.keyPrefix}_${config.STORAGE_KEYS[k]}`);
+    this.backtestFile = cfg.backtestFile || null;
+    this.history = [];
+    this.patternMemory = {};
+    this.errorMemory = {};
+    this.ensembleState = null;
+    this.serviceState = null;
+    this.service = null;
+    this.ledger = new PredictionLedger([], config.MAX_LEDGER_STORE);
+    this.quality = new DataQuality(config.MAX_QUARANTINE_STORE);
+    // resolved / round / prediction events for the SSE and WebSocket streams
+    this.feed = new EventFeed(this.name, config.PUSH_BUFFER);
+    // Latest prediction, rebuilt after every fetch so the GET route can serve it from memory
+    this.latest = null;
+    this.refreshing = null;
+    this.refreshedAt = 0;
+    this.lastFetchAt = null; // ms, last successful fetch
+    this.poller = new UpstreamPoller(() => this.refresh(), cfg.interval !== undefined ? cfg.interval : config.AUTO_REFRESH_DEFAULT, config);
+  }
+  async load(store) {
+    const stored = await store.load(this.keys.history, []);
+    this.history = Array.isArray(stored) ? stored.slice(-this.config.MAX_HISTORY_STORE) : [];
+    this.patternMemory = await store.load(this.keys.patternMem, {}) || {};
+    this.errorMemory = await store.load(this.keys.errorMem, {}) || {};
+    this.ensembleState = await store.load(this.keys.ensemble, null);
+    this.serviceState = await store.load(this.keys.service, null);
+    this.ledger = new PredictionLedger(await store.load(this.keys.ledger, []), this.config.MAX_LEDGER_STORE);
+    this.quality.setState(await store.load(this.keys.quality, null));
+    // A restarted simulator carries on numbering after the stored history
+    const lastPhien = this.history.length ? Number(this.history[this.history.length - 1].Phien) : NaN;
+    if (this.simulator && lastPhien >= this.simulator.phien) this.simulator.phien = lastPhien + 1;
+  }
+  snapshot() {
+    if (this.service) {
+      this.ensembleState = this.service.ensemble.getState();
+      this.serviceState = this.service.getState();
+    }
+    return {
+      [this.keys.history]: this.history,
+      [this.keys.patternMem]: this.patternMemory,
+      [this.keys.errorMem]: this.errorMemory,
+      [this.keys.ensemble]: this.ensembleState,
+      [this.keys.service]: this.serviceState,
+      [this.keys.ledger]: this.ledger.records,
+      [this.keys.quality]: this.quality.getState(),
+    };
+  }
+  // The long-lived predictor; it shares patternMemory/errorMemory so they get persisted
+  initService() {
+    this.service = new PredictorService(this.history, {
+      config: this.config, rules: this.rules, patternMemory: this.patternMemory, errorMemory: this.errorMemory
+    });
+    this.service.ensemble.setState(this.ensembleState);
+    this.service.setState(this.serviceState);
+    return this.service;
+  }
+  getService() {
+    return this.service || this.initService();
+  }
+  async fetch() {
+    const started = process.hrtime.bigint();
+    const observe = outcome => this.metrics.fetchSeconds.observe({ source: this.name, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+    try {
+      let rounds;
+      if (this.simulator) rounds = mapRounds(this.simulator.take(this.simulatorConfig.per_fetch || 1), this.profile);
+      else rounds = mapRounds(await this.fetcher(this.url || this.config.API_URL, { timeout: this.config.FETCH_TIMEOUT_MS, source: this.name }), this.profile);
+      observe('ok');
+      this.lastFetchAt = Date.now();
+      return rounds;
+    } catch (e) {
+      observe('error');
+      this.metrics.fetchErrors.inc({ source: this.name });
+      log.warn('Lỗi khi lấy dữ liệu từ nguồn', { source: this.name, error: e.message || String(e) });
+      throw e;
+    }
+  }
+  // Feeds rounds that pass validation and are newer than the stored history, oldest first;
+  // returns what each one resolved to, any skipped Phien ranges and how many rows were rejected
+  ingest(rounds) {
+    const service = this.getService();
+    const rejectedBefore = this.quality.rejected;
+    const fresh = this.quality.screen(rounds, service.history);
+    const gaps = [];
+    const prev = service.history.length ? Number(service.history[service.history.length - 1].Phien) : NaN;
+    let lastPhien = Number.isFinite(prev) ? prev : null;
+    const resolved = fresh.map(r => {
+      const phien = Number(r.Phien);
+      if (lastPhien !== null && Number.isFinite(phien) && phien > lastPhien + 1) {
+        gaps.push({ from: lastPhien + 1, to: phien - 1, missing: phien - lastPhien - 1 });
+      }
+      if (Number.isFinite(phien)) lastPhien = phien;
+      const entry = this.ledger.resolve(r);
+      const outcome = service.learn(r);
+      if (entry) {
+        this.metrics.resolved.inc({ source: this.name, outcome: entry.hit ? 'hit' : 'miss' });
+        this.feed.publish('resolved', r.Phien, {
+          Phien: r.Phien, Du_doan: entry.Du_doan, Do_tin_cay: entry.Do_tin_cay, Result: r.Ket_qua, hit: entry.hit
+        });
+      }
+      this.feed.publish('round', r.Phien, {
+        Phien: r.Phien, d1: r.Xuc_xac_1, d2: r.Xuc_xac_2, d3: r.Xuc_xac_3, Tong: r.Tong, Result: r.Ket_qua
+      });
+      return outcome;
+    });
+    this.history = service.history;
+    const rejected = this.quality.rejected - rejectedBefore;
+    this.metrics.ingested.inc({ source: this.name }, fresh.length);
+    if (rejected) {
+      this.metrics.rejected.inc({ source: this.name }, rejected);
+      log.warn('Nguồn trả về phiên không hợp lệ', { source: this.name, rejected });
+    }
+    if (gaps.length) log.warn('Thiếu phiên', { source: this.name, gaps });
+    return { added: fresh.length, resolved: resolved.filter(x => x), gaps, rejected };
+  }
+  buildResponse(prediction) {
+    const lastRound = this.history[this.history.length - 1];
+    return {
+      Phien: lastRound.Phien,
+      Phien_sau: lastRound.Phien + 1,
+      d1: lastRound.Xuc_xac_1,
+      d2: lastRound.Xuc_xac_2,
+      d3: lastRound.Xuc_xac_3,
+      Tong: lastRound.Tong,
+      Result: lastRound.Ket_qua,
+      Du_doan: prediction.prediction,
+      Do_tin_cay: prediction.confidence,
+      Giai_thich: prediction.reason,
+      Giai_thich_chi_tiet: localizeExplanation(prediction.explanation, DEFAULT_LANG),
+      Trong_so: prediction.fusion.weights,
+      Lich_su_trong_so: prediction.fusion.history,
+      Xuc_xac: prediction.dice,
+      Markov: this.markovInfo(prediction),
+      Loai_cau: {
+        type: prediction.roadType,
+        confidence: prediction.roadConfidence,
+        posterior: prediction.regime.posterior,
+        last_change: prediction.regime.last_change,
+        current_rounds: prediction.regime.current_rounds,
+        iid_test: prediction.regime.iid_test
+      },
+      Quy_tac: { winner: prediction.du_doan.winner, error: prediction.du_doan.error, trace: prediction.du_doan.trace },
+      Pattern: lastRound.raw?.Pattern || seqFromHistory(this.history.slice(-20)).join('').toLowerCase().replace(/t/g, 'tài').replace(/x/g, 'xỉu'),
+      Nguon: this.name,
+      id: '@ANALYSIS TỚI CHƠI 🤟'
+    };
+  }
+  // Effective context of the markov model, when it is enabled
+  markovInfo(prediction) {
+    const mk = prediction.ensemble.modelProbas.markov;
+    return mk ? { context: mk.context, order: mk.order, samples: mk.samples, pTai: mk.T } : null;
+  }
+  // One fetch → ingest → predict cycle; concurrent callers share the in-flight one
+  refresh() {
+    if (this.refreshing) return this.refreshing;
+    this.refreshedAt = Date.now();
+    this.refreshing = (async () => {
+      const mapped = await this.fetch();
+      if (!mapped || !mapped.length) throw new Error('API trả về rỗng');
+      const ingest = this.ingest(mapped);
+      if (!this.history.length) throw new Error(ingest.rejected ? 'API không trả về phiên hợp lệ nào' : 'API trả về rỗng');
+      if (ingest.added || !this.latest) {
+        const prediction = this.service.predict();
+        this.latest = this.buildResponse(prediction);
+        this.ledger.record(this.latest, prediction);
+        this.feed.publish('prediction', this.latest.Phien, this.latest);
+        this.metrics.predictions.inc({ source: this.name });
+      }
+      if (ingest.added || ingest.rejected) this.onChange();
+      return ingest;
+    })().finally(() => { this.refreshing = null; });
+    return this.refreshing;
+  }
+  status() {
+    return {
+      source: this.name,
+      ...this.poller.status(),
+      history_len: this.history.length,
+      last_phien: this.history.length ? this.history[this.history.length - 1].Phien : null
+    };
+  }
+  info() {
+    return {
+      name: this.name,
+      url: this.simulator ? `simulator:${this.simulator.phases.map(p => p.generator).join('+')}` : (this.url || this.config.API_URL),
+      profile: this.profileName,
+      storage_prefix: this.keys.history.slice(0, -this.config.STORAGE_KEYS.history.length - 1),
+      history_len: this.history.length,
+      last_phien: this.history.length ? this.history[this.history.length - 1].Phien : null,
+      polling: this.poller.running,
+      stream_clients: this.feed.clients,
+      last_error: this.poller.lastError,
+      Du_doan: this.latest ? this.latest.Du_doan : null,
+      Phien_sau: this.latest ? this.latest.Phien_sau : null
+    };
+  }
+}
+
+module.exports = { normalizeRounds, loadHistoryFile, httpFetcher, UpstreamPoller, Source };
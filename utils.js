@@ -0,0 +1,53 @@
+// Utility Functions
+function nowStr() { return (new Date()).toISOString(); }
+function deepCopy(x) { return JSON.parse(JSON.stringify(x)); }
+function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
+function last(arr, n = 1) { return arr.slice(Math.max(arr.length - n, 0)); }
+// 'T' / 'X' for a round's result, null when it has none or an unknown one
+const LABELS = { 'Tài': 'T', 'Tai': 'T', 'T': 'T', 'Xỉu': 'X', 'Xiu': 'X', 'X': 'X' };
+function labelOf(round) {
+  return (round && LABELS[round.Ket_qua]) || null;
+}
+// Deterministic PRNG (mulberry32) so offline runs are reproducible
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+// Labelled rounds only: a round without a result is left out rather than read as either side
+function seqFromHistory(history) {
+  return history.map(labelOf).filter(x => x);
+}
+
+function computeRunLength(seq) {
+  if (!seq.length) return { value: null, run: 0 };
+  let lastVal = seq[seq.length - 1];
+  let run = 1;
+  for (let i = seq.length - 2; i >= 0; i--) {
+    if (seq[i] === lastVal) run++; else break;
+  }
+  return { value: lastVal, run };
+}
+
+function counts(seq) {
+  const c = { T: 0, X: 0 };
+  seq.forEach(s => { if (s === 'T') c.T++; else c.X++; });
+  return c;
+}
+
+module.exports = {
+  nowStr,
+  deepCopy,
+  clamp,
+  last,
+  labelOf,
+  seededRandom,
+  seqFromHistory,
+  computeRunLength,
+  counts
+};
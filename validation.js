@@ -0,0 +1,140 @@
+const { nowStr, last } = require('./utils');
+
+// Round Validation: normalizes a mapped round or says why it can't be used.
+// Dice must be integers 1–6, Tong must equal their sum, Ket_qua must agree with Tong (Tài ≥ 11) and
+// Phien must be a positive integer, since Phien_sau is Phien + 1. A missing Tong or Ket_qua is derived.
+const RESULT_NAMES = { 'TÀI': 'Tài', 'TAI': 'Tài', 'T': 'Tài', 'XỈU': 'Xỉu', 'XIU': 'Xỉu', 'X': 'Xỉu' };
+
+function toInt(v) {
+  if (typeof v === 'number') return Number.isInteger(v) ? v : NaN;
+  if (typeof v === 'string' && /^\s*-?\d+\s*$/.test(v)) return parseInt(v, 10);
+  return NaN;
+}
+
+// Sum of the three dice when all are integers 1–6, else null
+function diceTotal(r) {
+  const dice = [r.Xuc_xac_1, r.Xuc_xac_2, r.Xuc_xac_3].map(toInt);
+  return dice.every(d => d >= 1 && d <= 6) ? dice[0] + dice[1] + dice[2] : null;
+}
+
+function validateRound(r) {
+  const errors = [];
+  const fail = (code, message) => errors.push({ code, message });
+  const phien = toInt(r.Phien);
+  if (!(phien > 0)) fail('phien_invalid', `Phien không phải số nguyên dương: ${JSON.stringify(r.Phien)}`);
+  const diceRaw = [r.Xuc_xac_1, r.Xuc_xac_2, r.Xuc_xac_3];
+  const hasDice = diceRaw.some(d => d !== null && d !== undefined);
+  const dice = diceRaw.map(toInt);
+  const diceOk = hasDice && dice.every(d => d >= 1 && d <= 6);
+  if (hasDice && !diceOk) fail('dice_invalid', `Xúc xắc phải là số nguyên 1–6: ${diceRaw.map(d => JSON.stringify(d)).join(', ')}`);
+  let tong = r.Tong === null || r.Tong === undefined ? null : toInt(r.Tong);
+  if (Number.isNaN(tong)) fail('total_invalid', `Tong không phải số nguyên: ${JSON.stringify(r.Tong)}`);
+  else if (tong !== null && (tong < 3 || tong > 18)) fail('total_invalid', `Tong ngoài khoảng 3–18: ${tong}`);
+  else if (diceOk) {
+    const sum = dice[0] + dice[1] + dice[2];
+    if (tong === null) tong = sum;
+    else if (tong !== sum) fail('total_mismatch', `Tong ${tong} khác tổng xúc xắc ${sum}`);
+  } else if (!hasDice && tong === null) fail('missing_dice', 'Thiếu cả xúc xắc lẫn Tong');
+  let ket = null;
+  if (r.Ket_qua !== null && r.Ket_qua !== undefined && r.Ket_qua !== '') {
+    ket = RESULT_NAMES[String(r.Ket_qua).trim().toUpperCase()] || null;
+    if (!ket) fail('result_unknown', `Ket_qua không rõ: ${JSON.stringify(r.Ket_qua)}`);
+  }
+  if (Number.isInteger(tong) && tong >= 3 && tong <= 18 && !errors.some(e => e.code === 'result_unknown')) {
+    const expected = tong >= 11 ? 'Tài' : 'Xỉu';
+    if (ket === null) ket = expected;
+    else if (ket !== expected) fail('result_mismatch', `Ket_qua ${ket} không khớp Tong ${tong} (Tài khi ≥ 11)`);
+  }
+  if (errors.length) return { round: null, errors };
+  return {
+    round: {
+      ...r,
+      Phien: phien,
+      Xuc_xac_1: hasDice ? dice[0] : null,
+      Xuc_xac_2: hasDice ? dice[1] : null,
+      Xuc_xac_3: hasDice ? dice[2] : null,
+      Tong: tong,
+      Ket_qua: ket
+    },
+    errors
+  };
+}
+
+// Data Quality: counters per source plus the most recent quarantined rows
+class DataQuality {
+  constructor(maxQuarantine = 200) {
+    this.maxQuarantine = maxQuarantine;
+    this.received = 0;
+    this.accepted = 0;
+    this.duplicates = 0;
+    this.outOfOrder = 0;
+    this.rejected = 0;
+    this.byReason = {};
+    this.quarantine = [];
+  }
+  // `mapped` is the profile-mapped row; the quarantine keeps the upstream original next to it
+  reject(mapped, errors) {
+    this.rejected++;
+    errors.forEach(e => { this.byReason[e.code] = (this.byReason[e.code] || 0) + 1; });
+    const raw = mapped.raw !== undefined ? mapped.raw : mapped;
+    this.quarantine.push({ at: nowStr(), Phien: mapped.Phien !== undefined ? mapped.Phien : null, reasons: errors, raw });
+    if (this.quarantine.length > this.maxQuarantine) this.quarantine = last(this.quarantine, this.maxQuarantine);
+  }
+  // Sorts each fetched row into accepted, duplicate (already stored, same result, or no longer
+  // valid in the upstream's new shape), out-of-order (older than the newest stored round) or
+  // quarantined; returns the accepted rounds, oldest first
+  screen(rounds, history) {
+    const known = new Map(history.map(h => [Number(h.Phien), h]));
+    const newest = history.length ? Number(history[history.length - 1].Phien) : null;
+    const accepted = new Map();
+    rounds.forEach(mapped => {
+      this.received++;
+      const phien = toInt(mapped.Phien);
+      const seen = known.get(phien) || accepted.get(phien);
+      const { round, errors } = validateRound(mapped);
+      if (seen) {
+        if (!round || (seen.Tong === round.Tong && seen.Ket_qua === round.Ket_qua)) return this.duplicates++;
+        return this.reject(mapped, [{ code: 'conflicting_duplicate', message: `Phien ${round.Phien} đã có với Tong ${seen.Tong}, nay là ${round.Tong}` }]);
+      }
+      if (!round) return this.reject(mapped, errors);
+      if (newest !== null && Number.isFinite(newest) && round.Phien < newest) {
+        this.outOfOrder++;
+        return this.reject(mapped, [{ code: 'out_of_order', message: `Phien ${round.Phien} cũ hơn phiên mới nhất ${newest}` }]);
+      }
+      accepted.set(round.Phien, round);
+    });
+    this.accepted += accepted.size;
+    return [...accepted.values()].sort((a, b) => a.Phien - b.Phien);
+  }
+  report(limit = 50) {
+    return {
+      received: this.received,
+      accepted: this.accepted,
+      duplicates: this.duplicates,
+      out_of_order: this.outOfOrder,
+      rejected: this.rejected,
+      rejected_by_reason: { ...this.byReason },
+      quarantine_total: this.quarantine.length,
+      quarantine: last(this.quarantine, limit).reverse()
+    };
+  }
+  getState() {
+    return {
+      received: this.received,
+      accepted: this.accepted,
+      duplicates: this.duplicates,
+      outOfOrder: this.outOfOrder,
+      rejected: this.rejected,
+      byReason: this.byReason,
+      quarantine: this.quarantine
+    };
+  }
+  setState(state) {
+    if (!state) return;
+    ['received', 'accepted', 'duplicates', 'outOfOrder', 'rejected'].forEach(k => { this[k] = state[k] || 0; });
+    this.byReason = state.byReason || {};
+    this.quarantine = Array.isArray(state.quarantine) ? last(state.quarantine, this.maxQuarantine) : [];
+  }
+}
+
+module.exports = { validateRound, diceTotal, DataQuality };